@@ -9,15 +9,58 @@
 
 'use strict';
 
+const { writeFile } = require('fs').promises;
+const { PassThrough } = require('stream');
 const yargs = require('yargs/yargs');
 
 const packageJson = require('../package.json');
 const hubCiStatus = require('..');
+const AbortControllerPonyfill = require('../lib/abort-controller.js');
+const constant = require('../lib/retry-async/constant.js');
+const decorrelatedJitter =
+  require('../lib/retry-async/decorrelated-jitter.js');
+const equalJitter = require('../lib/retry-async/equal-jitter.js');
+const exponential = require('../lib/retry-async/exponential.js');
+const fullJitter = require('../lib/retry-async/full-jitter.js');
+
+const backoffOptions = [
+  'constant',
+  'exponential',
+  'full-jitter',
+  'equal-jitter',
+  'decorrelated-jitter',
+];
 
 // Same --color options as hub(1)
 const colorOptions = ['always', 'never', 'auto'];
 
+const outputFormatOptions = ['text', 'json', 'junit', 'markdown', 'tap'];
+
+/** Exit code when interrupted before the CI status was fetched.  Same as
+ * {@link hubCiStatus} when interrupted while waiting.
+ *
+ * @private
+ * @constant
+ * @type {number}
+ */
+const interruptExitCode = 130;
+
+/** Gets the last value of an option which may have been given more than once.
+ *
+ * Since duplicate-arguments-array is enabled (so that --include and --exclude
+ * can be repeated), other options with duplicate arguments are parsed as
+ * Arrays.  Use the last one, as getopt_long(3) would.
+ *
+ * @private
+ * @param {*} arg Parsed option value.
+ * @returns {*} Last element of arg, if arg is an Array, otherwise arg.
+ */
+function lastArg(arg) {
+  return Array.isArray(arg) ? arg[arg.length - 1] : arg;
+}
+
 function coerceColor(arg) {
+  arg = lastArg(arg);
   if (arg === undefined) {
     return arg;
   }
@@ -38,6 +81,7 @@ function coerceColor(arg) {
 }
 
 function coerceWait(arg) {
+  arg = lastArg(arg);
   if (arg === undefined) {
     return arg;
   }
@@ -60,16 +104,75 @@ function coerceWait(arg) {
   return val;
 }
 
+/** Makes the times to wait between polls for a backoff strategy.
+ *
+ * @private
+ * @param {string} backoff Name of backoff strategy from backoffOptions.
+ * @param {number=} factor Multiplicative increase between waits.
+ * (Default: 3 for decorrelated-jitter, otherwise 2)
+ * @param {number=} initialMs Initial wait, in milliseconds.  (Default: 4000)
+ * @param {number=} maxMs Maximum wait, in milliseconds.  (Default: 60000)
+ * @returns {!module:globals.Iterable<number>} Wait times, in milliseconds.
+ */
+function makeWaitMs(backoff, factor, initialMs = 4000, maxMs = 60000) {
+  switch (backoff) {
+    case 'constant':
+      return constant(initialMs);
+    case 'decorrelated-jitter':
+      return decorrelatedJitter(factor || 3, initialMs, maxMs);
+    case 'equal-jitter':
+      return equalJitter(exponential(factor || 2, initialMs, maxMs));
+    case 'full-jitter':
+      return fullJitter(exponential(factor || 2, initialMs, maxMs));
+    default:
+      return exponential(factor || 2, initialMs, maxMs);
+  }
+}
+
+/** Gets the GitHub Actions job in which this command is running, if any.
+ *
+ * @private
+ * @param {object<string,string>=} env Environment variables.
+ * @returns {{
+ *   job: string,
+ *   runId: string,
+ *   repository: (string|undefined),
+ *   runAttempt: (string|undefined),
+ *   runnerName: (string|undefined)
+ * }|undefined} GitHub Actions job from $GITHUB_JOB, $GITHUB_RUN_ID,
+ * $GITHUB_REPOSITORY, $GITHUB_RUN_ATTEMPT, and $RUNNER_NAME, if running in
+ * GitHub Actions.
+ */
+function getActionsJob(env) {
+  if (!env
+    || env.GITHUB_ACTIONS !== 'true'
+    || !env.GITHUB_JOB
+    || !env.GITHUB_RUN_ID) {
+    return undefined;
+  }
+
+  return {
+    job: env.GITHUB_JOB,
+    runId: env.GITHUB_RUN_ID,
+    repository: env.GITHUB_REPOSITORY || undefined,
+    runAttempt: env.GITHUB_RUN_ATTEMPT || undefined,
+    runnerName: env.RUNNER_NAME || undefined,
+  };
+}
+
 /** Options for command entry points.
  *
  * @private
  * @typedef {{
  *   env: object<string,string>|undefined,
+ *   signal: module:globals.AbortSignal|undefined,
  *   stdin: !module:stream.Readable,
  *   stdout: !module:stream.Writable,
  *   stderr: !module:stream.Writable
  * }} CommandOptions
  * @property {object<string,string>=} env Environment variables.
+ * @property {module:globals.AbortSignal=} signal Signal which interrupts
+ * the command when aborted.
  * @property {!module:stream.Readable} stdin Stream from which input is read.
  * @property {!module:stream.Writable} stdout Stream to which output is
  * written.
@@ -122,8 +225,8 @@ function hubCiStatusCmd(args, options, callback) {
       'parse-numbers': false,
       'parse-positional-numbers': false,
       'dot-notation': false,
-      'duplicate-arguments-array': false,
-      'flatten-duplicate-arrays': false,
+      'duplicate-arguments-array': true,
+      'flatten-duplicate-arrays': true,
       'greedy-arrays': false,
       'strip-aliased': true,
       'strip-dashed': true,
@@ -132,15 +235,117 @@ function hubCiStatusCmd(args, options, callback) {
     .help()
     .alias('help', 'h')
     .alias('help', '?')
+    .option('backoff', {
+      describe: 'Strategy for increasing time between polls while waiting'
+        + ` (${backoffOptions.join('|')})`,
+      defaultDescription: 'exponential',
+      requiresArg: true,
+      string: true,
+    })
+    .option('backoff-factor', {
+      describe: 'Multiplicative increase of time between polls',
+      defaultDescription: '2 (3 for decorrelated-jitter)',
+      requiresArg: true,
+      string: true,
+    })
+    .option('backoff-initial', {
+      describe: 'Initial time between polls, in seconds',
+      defaultDescription: '4',
+      requiresArg: true,
+      string: true,
+    })
+    .option('backoff-max', {
+      describe: 'Maximum time between polls, in seconds',
+      defaultDescription: '60',
+      requiresArg: true,
+      string: true,
+    })
+    .option('base', {
+      describe: 'Branch with protection rules for --required'
+        + ' (e.g. pull request base branch, implies --required)',
+      requiresArg: true,
+      string: true,
+    })
     .options('color', {
       describe: `Colorize verbose output (${colorOptions.join('|')})`,
       coerce: coerceColor,
     })
+    .option('exclude', {
+      array: true,
+      describe: 'Ignore statuses and checks with context matching glob'
+        + ' (repeatable)',
+      requiresArg: true,
+      string: true,
+    })
+    .option('expect', {
+      array: true,
+      describe: 'Status or check with context matching glob is expected'
+        + ' (pending until reported, repeatable)',
+      requiresArg: true,
+      string: true,
+    })
+    .option('format', {
+      alias: 'f',
+      describe: 'Print each status using format with placeholders'
+        + ' %S (state), %sC (state color), %t (context), %U (URL)'
+        + ' (implies --verbose)',
+      requiresArg: true,
+      string: true,
+    })
+    .option('include', {
+      array: true,
+      describe: 'Only consider statuses and checks with context matching glob'
+        + ' (repeatable)',
+      requiresArg: true,
+      string: true,
+    })
+    .option('include-current-job', {
+      boolean: true,
+      describe: 'Do not ignore check run of the GitHub Actions job in which'
+        + ' this command is run',
+    })
+    .option('json', {
+      boolean: true,
+      describe: 'Print statuses and checks as a JSON document'
+        + ' (same as --output-format=json)',
+    })
+    .option('min-checks', {
+      describe: 'Minimum number of statuses and checks expected'
+        + ' (pending until reported)',
+      requiresArg: true,
+      string: true,
+    })
+    .option('output', {
+      alias: 'o',
+      describe: 'Write output to file instead of stdout',
+      requiresArg: true,
+      string: true,
+    })
+    .option('output-format', {
+      describe: `Format of output (${outputFormatOptions.join('|')})`,
+      defaultDescription: 'text',
+      requiresArg: true,
+      string: true,
+    })
     .option('quiet', {
       alias: 'q',
       describe: 'Print less output',
       count: true,
     })
+    .option('required', {
+      boolean: true,
+      describe: 'Only consider checks required by branch protection of ref',
+    })
+    .option('show-superseded', {
+      boolean: true,
+      describe: 'Print check runs superseded by a re-run in verbose output',
+    })
+    .option('stuck-after', {
+      describe: 'Treat status or check pending for longer than this many'
+        + ' seconds as failed',
+      requiresArg: true,
+      string: true,
+    })
     .option('verbose', {
       alias: 'v',
       describe: 'Print more output',
@@ -185,32 +390,155 @@ function hubCiStatusCmd(args, options, callback) {
       return;
     }
 
+    const backoff = lastArg(argOpts.backoff);
+    const backoffFactorArg = lastArg(argOpts.backoffFactor);
+    const backoffInitialArg = lastArg(argOpts.backoffInitial);
+    const backoffMaxArg = lastArg(argOpts.backoffMax);
+    const base = lastArg(argOpts.base);
+    const format = lastArg(argOpts.format);
+    const minChecksArg = lastArg(argOpts.minChecks);
+    const outputFile = lastArg(argOpts.output);
+    const outputFormat = lastArg(argOpts.outputFormat);
+    const stuckAfterArg = lastArg(argOpts.stuckAfter);
+
+    // Note: Checked here, since yargs coerce and choices do not work for
+    // dashed options with strip-dashed.
+    if (outputFormat !== undefined
+      && !outputFormatOptions.includes(outputFormat)) {
+      options.stderr.write(
+        `Error: Unrecognized --output-format argument '${
+          outputFormat}'.  Choices: ${
+          outputFormatOptions.join(', ')}\n`,
+      );
+      callback(1);
+      return;
+    }
+
+    if (backoff !== undefined && !backoffOptions.includes(backoff)) {
+      options.stderr.write(
+        `Error: Unrecognized --backoff argument '${backoff}'.  Choices: ${
+          backoffOptions.join(', ')}\n`,
+      );
+      callback(1);
+      return;
+    }
+
+    for (const [option, arg] of [
+      ['backoff-factor', backoffFactorArg],
+      ['backoff-initial', backoffInitialArg],
+      ['backoff-max', backoffMaxArg],
+    ]) {
+      if (arg !== undefined && !(Number(arg) > 0)) {
+        options.stderr.write(
+          `Error: Invalid --${option} argument '${arg}'.  `
+          + 'Must be a positive number.\n',
+        );
+        callback(1);
+        return;
+      }
+    }
+
+    if (minChecksArg !== undefined && !/^\d+$/.test(minChecksArg)) {
+      options.stderr.write(
+        `Error: Invalid --min-checks argument '${minChecksArg}'.  `
+        + 'Must be a non-negative integer.\n',
+      );
+      callback(1);
+      return;
+    }
+
+    const stuckAfter = Number(stuckAfterArg);
+    if (stuckAfterArg !== undefined
+      && (stuckAfterArg === '' || !(stuckAfter >= 0))) {
+      options.stderr.write(
+        `Error: Invalid --stuck-after argument '${stuckAfterArg}'.  `
+        + 'Must be a non-negative number of seconds.\n',
+      );
+      callback(1);
+      return;
+    }
+
+    if (argOpts.json && outputFormat !== undefined) {
+      options.stderr.write(
+        'Error: --json and --output-format are mutually exclusive.\n',
+      );
+      callback(1);
+      return;
+    }
+
     const maxTotalMs = argOpts.wait !== undefined ? argOpts.wait * 1000
       : argOpts.waitAll ? Infinity
         : undefined;
+    let wait;
+    if (maxTotalMs !== undefined) {
+      wait = { maxTotalMs };
+      if (backoff !== undefined
+        || backoffFactorArg !== undefined
+        || backoffInitialArg !== undefined
+        || backoffMaxArg !== undefined) {
+        wait.waitMs = makeWaitMs(
+          backoff,
+          backoffFactorArg === undefined ? undefined : Number(backoffFactorArg),
+          backoffInitialArg === undefined ? undefined
+            : Number(backoffInitialArg) * 1000,
+          backoffMaxArg === undefined ? undefined
+            : Number(backoffMaxArg) * 1000,
+        );
+      }
+    }
     const useColor = argOpts.color === 'never' ? false
       : argOpts.color === 'always' ? true
         : undefined;
     const ref = argOpts._[0];
     const verbosity = (argOpts.verbose || 0) - (argOpts.quiet || 0);
 
+    // Buffer output written to a file, to avoid creating it on error
+    const stdout = outputFile === undefined ? options.stdout
+      : new PassThrough({ encoding: 'utf8' });
+
     let exitCode = 0;
     try {
       const gcs = options.hubCiStatus || hubCiStatus;
       exitCode = await gcs(ref, {
+        exclude: argOpts.exclude,
+        // Ignore the job running this command, which would remain in progress
+        excludeJob: argOpts.includeCurrentJob ? undefined
+          : getActionsJob(options.env),
+        expect: argOpts.expect,
+        format,
+        include: argOpts.include,
+        minChecks: minChecksArg === undefined ? undefined
+          : Number(minChecksArg),
         octokitOptions: {
           auth: options.env ? options.env.GITHUB_TOKEN : undefined,
         },
+        outputFormat: argOpts.json ? 'json' : outputFormat,
+        required: base !== undefined ? base : !!argOpts.required,
+        showSuperseded: !!argOpts.showSuperseded,
+        signal: options.signal,
         stderr: options.stderr,
-        stdout: options.stdout,
+        stdout,
+        stuckAfterMs: stuckAfterArg === undefined ? undefined
+          : stuckAfter * 1000,
         useColor,
         verbosity,
-        wait: maxTotalMs === undefined ? undefined : { maxTotalMs },
+        wait,
         waitAll: !!argOpts.waitAll,
       });
+
+      if (outputFile !== undefined) {
+        await writeFile(outputFile, stdout.read() || '');
+      }
     } catch (err) {
-      exitCode = 1;
-      options.stderr.write(`${verbosity > 1 ? err.stack : err}\n`);
+      if (err.name === 'AbortError') {
+        exitCode = interruptExitCode;
+        options.stderr.write(
+          'Error: Interrupted before CI status was fetched\n',
+        );
+      } else {
+        exitCode = 1;
+        options.stderr.write(`${verbosity > 1 ? err.stack : err}\n`);
+      }
     }
 
     callback(exitCode);
@@ -221,8 +549,25 @@ module.exports = hubCiStatusCmd;
 
 if (require.main === module) {
   // This file was invoked directly.
+  // Print the partial status on the first SIGINT.  Subsequent signals use
+  // the default handler (i.e. exit immediately).
+  // TODO [engine:node@>=15]: Use global AbortController
+  const AbortController = global.AbortController || AbortControllerPonyfill;
+  const abortController = new AbortController();
+  process.once('SIGINT', () => abortController.abort());
+
   // Note:  Could pass process.exit as callback to force immediate exit.
-  hubCiStatusCmd(process.argv, process, (exitCode) => {
-    process.exitCode = exitCode;
-  });
+  hubCiStatusCmd(
+    process.argv,
+    {
+      env: process.env,
+      signal: abortController.signal,
+      stdin: process.stdin,
+      stdout: process.stdout,
+      stderr: process.stderr,
+    },
+    (exitCode) => {
+      process.exitCode = exitCode;
+    },
+  );
 }
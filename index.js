@@ -6,131 +6,571 @@
 
 'use strict';
 
+const { EventEmitter } = require('events');
+
+const expandFormat = require('./lib/expand-format.js');
 const fetchCiStatus = require('./lib/fetch-ci-status.js');
-const { resolveCommit } = require('./lib/git-utils.js');
+const fetchJobCheckRunId = require('./lib/fetch-job-check-run-id.js');
+const formatJUnit = require('./lib/format-junit.js');
+const formatMarkdown = require('./lib/format-markdown.js');
+const formatTap = require('./lib/format-tap.js');
+const globToRegExp = require('./lib/glob-to-regexp.js');
+const { resolveBranch, resolveCommit } = require('./lib/git-utils.js');
 const { getProjectName } = require('./lib/github-utils.js');
+const selectStatuses = require('./lib/select-statuses.js');
+const { setTimeout: setTimeoutP } = require('./lib/timers-promises.js');
+const WatchView = require('./lib/watch-view.js');
+const {
+  checkRunToStatus,
+  formatStatuses,
+  getState,
+  getStateColor,
+  stateToExitCode,
+} = require('./status.js');
+
+/** Formats statuses using a format string with placeholders, as done by
+ * the --format option of `hub ci-status`.
+ *
+ * https://hub.github.com/hub-ci-status.1.html
+ *
+ * @private
+ * @param {!Array<!object>} statuses "statuses" objects from CI Status API.
+ * @param {string} format Format string, which is expanded for each status
+ * with placeholders %S (state), %sC (state color), %t (context), and %U
+ * (target URL), in addition to those supported by {@link expandFormat}.
+ * @param {boolean=} useColor Should ANSI escape codes for color be used?
+ * @returns {string} Concatenation of format expanded for each status.
+ */
+function formatStatusesWithFormat(statuses, format, useColor) {
+  return statuses
+    .map((status) => {
+      const stateColor = getStateColor(status.state);
+      return expandFormat(
+        format,
+        {
+          S: status.state,
+          sC: useColor && stateColor !== undefined ? `\u001B[${stateColor}m`
+            : '',
+          t: status.context,
+          U: status.target_url || '',
+        },
+        useColor,
+      );
+    })
+    .join('');
+}
+
+/** Output formats supported by {@link hubCiStatus}.
+ *
+ * @private
+ * @constant
+ * @type {!Array<string>}
+ */
+const outputFormats = ['text', 'json', 'junit', 'markdown', 'tap'];
+
+/** Exit code when waiting timed out before the state could be determined.
+ * Differs from exit codes of hub(1), which does not wait.
+ *
+ * @constant
+ * @private
+ * @type {number}
+ */
+const waitTimeoutExitCode = 4;
+
+/** Exit code when waiting was aborted before the state could be determined.
+ * Same as the exit status of a shell command terminated by SIGINT.
+ *
+ * @constant
+ * @private
+ * @type {number}
+ */
+const abortExitCode = 130;
 
-// Use same "severity" as hub(1) for determining state
-// https://github.com/github/hub/blob/v2.14.2/commands/ci_status.go#L60-L69
-const stateBySeverity = [
-  'neutral',
-  'success',
-  'pending',
-  'cancelled',
-  'timed_out',
-  'action_required',
-  'failure',
-  'error',
-];
-
-function getStateMarker(state, useColor) {
-  function colorize(string, code) {
-    return useColor ? `\u001B[${code}m${string}\u001B[39m` : string;
+/** Makes a function which tests whether a status context (or check run name)
+ * is included by glob patterns.
+ *
+ * @private
+ * @param {Array<string>=} include Glob patterns of contexts to include.  If
+ * non-empty, contexts which do not match any pattern are excluded.
+ * @param {Array<string>=} exclude Glob patterns of contexts to exclude.
+ * @returns {(function(string): boolean)=} Function which returns
+ * true if a context is included, or undefined if all contexts are included.
+ */
+function makeContextFilter(include, exclude) {
+  const includeRes = (include || []).map(globToRegExp);
+  const excludeRes = (exclude || []).map(globToRegExp);
+  if (includeRes.length === 0 && excludeRes.length === 0) {
+    return undefined;
   }
 
-  // Use same status markers as `hub ci-status`
-  // https://github.com/github/hub/blob/v2.14.2/commands/ci_status.go#L158-L171
-  switch (state) {
-    case 'success':
-      return colorize('✔︎', 32);
+  return (context) => (includeRes.length === 0
+      || includeRes.some((includeRe) => includeRe.test(context)))
+    && !excludeRes.some((excludeRe) => excludeRe.test(context));
+}
 
-    case 'action_required':
-    case 'cancelled':
-    case 'error':
-    case 'failure':
-    case 'timed_out':
-      return colorize('✖︎', 31);
+/** Document printed by {@link hubCiStatus} with outputFormat 'json'.
+ *
+ * @typedef {!object} CiStatusJson
+ * @property {string} owner Owner of the GitHub repository.
+ * @property {string} repo Name of the GitHub repository.
+ * @property {string} sha Commit hash for which status was fetched.
+ * @property {?string} state Combined state of all statuses and check runs,
+ * using the same severity as hub(1), or null if there are none.
+ * @property {number} exitCode Exit code for state, as returned by
+ * {@link hubCiStatus}: 4 (or 130, if aborted) if timedOut and state is
+ * pending or empty, otherwise
+ * {@link module:hub-ci-status/status.stateToExitCode}.
+ * @property {boolean} timedOut true if waiting stopped before the statuses
+ * and check runs being waited for had completed.
+ * @property {!Array<!object>} statuses "statuses" objects from the CI Status
+ * API response, unmodified, except excluded contexts are omitted.
+ * @property {!Array<!object>} checkRuns "check_runs" objects from the Checks
+ * API response, unmodified, except excluded contexts and attempts superseded
+ * by a later attempt (e.g. from re-running a job) are omitted.
+ * @property {!Array<string>} missingContexts Contexts of required checks and
+ * expected patterns for which there is no status or check run.  These are
+ * pending.
+ * @property {number} missingCount Number of additional statuses and check
+ * runs needed to reach minChecks.
+ * @property {!Array<string>} stuckContexts Contexts of statuses and names of
+ * check runs which have been pending for longer than stuckAfterMs, and are
+ * treated as failed (with state timed_out).
+ */
 
-    case 'neutral':
-      return colorize('◦', 30);
+/** Options for {@link getCiStatus}.
+ *
+ * @typedef {!object} GetCiStatusOptions
+ * @property {(function(string))=} debug Function called with progress
+ * messages while waiting.
+ * @property {Array<string>=} exclude Glob patterns of status contexts and
+ * check run names to ignore.  Supports <code>*</code>, <code>?</code>,
+ * <code>[...]</code>, and <code>\</code> escapes.
+ * @property {{job: string, runId: string}=} excludeJob GitHub Actions job
+ * (with job ID from $GITHUB_JOB and workflow run ID from $GITHUB_RUN_ID) for
+ * which check runs are ignored, such as the job which is checking the status
+ * (which would otherwise remain in progress while waiting).  If runnerName
+ * (from $RUNNER_NAME) is set, the check run is identified by listing the jobs
+ * of the run with the Actions API, since it is named by the job name, which
+ * may differ from the job ID.  Otherwise, check runs are matched by job ID.
+ * @property {Array<string>=} expect Glob patterns of status contexts and
+ * check run names which are expected.  State is pending until each pattern
+ * matches a status or check run.
+ * @property {!module:child_process.ExecFileOptions=} gitOptions Options to
+ * pass to {@link child_process.execFile} when invoking git.
+ * @property {Array<string>=} include Glob patterns of status contexts and
+ * check run names to consider.  If non-empty, others are ignored.
+ * @property {boolean=} includeSuperseded If truthy, checksList includes check
+ * runs which were superseded by a re-run.  (They are ignored otherwise.)
+ * @property {number=} minChecks Minimum number of statuses and check runs
+ * which are expected.  State is pending until there are at least this many.
+ * @property {!module:"@octokit/core".Octokit=} octokit Octokit instance to
+ * use for requests.
+ * @property {!module:"@octokit/core".OctokitOptions=} octokitOptions Options
+ * to pass to Octokit constructor.  Only used if octokit option is not set.
+ * @property {(function(!CiStatus))=} onPoll Function called with the CI
+ * status after each request for statuses and check runs (i.e. before each
+ * wait, when waiting).  timedOut is always false.
+ * @property {(boolean|string)=} required If truthy, only consider the status
+ * checks required by branch protection of the branch named by this option
+ * (e.g. the base branch of a pull request) or, if true, the branch named by
+ * rev.  Required checks which have not been reported are pending.  If the
+ * branch does not require status checks, all are considered.
+ * @property {module:globals.AbortSignal=} signal Signal which cancels git
+ * processes, API requests, and waiting when aborted.  If aborted after the
+ * statuses and check runs have been fetched, the CI status from the last
+ * fetch is returned with aborted true.  Otherwise, the returned Promise is
+ * rejected with an AbortError.
+ * @property {number=} stuckAfterMs Amount of time, in milliseconds, after
+ * which a pending status or check run (from when it was created or started)
+ * is considered stuck and treated as failed (with state timed_out).
+ * @property {!module:"lib/retry-async.js".RetryAsyncOptions=} wait Options
+ * to control retry attempts.  If truthy, will retry until the combined status
+ * is not pending.  Note: #shouldRetry is ignored and a function which tests
+ * status is used.
+ * @property {boolean=} waitAll If truthy, retry as long as any status is
+ * pending (instead of returning once any status fails).
+ */
 
-    case 'pending':
-      return colorize('●', 33);
+/** CI status of a commit, as returned by {@link getCiStatus}.
+ *
+ * @typedef {!object} CiStatus
+ * @property {string} owner Owner of the GitHub repository.
+ * @property {string} repo Name of the GitHub repository.
+ * @property {string} sha Commit hash for which status was fetched.
+ * @property {string} state Combined state of all statuses and check runs,
+ * using the same severity as hub(1), or empty string if there are none.
+ * @property {number} exitCode Exit code for state, as returned by
+ * {@link hubCiStatus}: 4 (or 130, if aborted) if timedOut and state is
+ * pending or empty, otherwise
+ * {@link module:hub-ci-status/status.stateToExitCode}.
+ * @property {!Array<!object>} statuses commitStatuses followed by checkRuns
+ * converted to "statuses" objects (with state, context, and target_url
+ * properties), followed by a pending status for each of missingContexts.
+ * Those which are stuck (see stuckContexts) have state timed_out.
+ * @property {!Array<!object>} commitStatuses "statuses" objects from the CI
+ * Status API, except those with excluded contexts.
+ * @property {!Array<!object>} checkRuns "check_runs" objects from the Checks
+ * API, except those with excluded names and attempts superseded by a later
+ * attempt (e.g. from re-running a job), which are not considered when
+ * determining state.
+ * @property {!Array<string>} missingContexts Contexts of required status
+ * checks (when the required option is used) and patterns of expected
+ * contexts (when the expect option is used) which have not been reported.
+ * @property {number} missingCount Number of additional statuses and check
+ * runs needed to reach minChecks.
+ * @property {boolean} timedOut true if the wait option was used and retries
+ * stopped (due to wait.maxTotalMs or signal) while statuses or check runs
+ * being waited for were pending or not yet reported.
+ * @property {boolean} aborted true if signal was aborted while waiting, in
+ * which case the CI status is from the last completed poll.
+ * @property {!Array<string>} stuckContexts Contexts of statuses and names of
+ * check runs which have been pending for longer than stuckAfterMs (when the
+ * stuckAfterMs option is used).  These have state timed_out in statuses.
+ * @property {!object} combinedStatus Data from the CI Status API response
+ * (with statuses from all pages, including excluded contexts).
+ * @property {!object} checksList Data from the Checks API response (with
+ * check_runs from all pages, including excluded names and, if
+ * includeSuperseded, superseded attempts).
+ */
 
-    default:
-      return '';
+/** Gets the current GitHub CI status of a given revision, without printing.
+ *
+ * @param {string=} rev Git revision for which to check status.  Can be any
+ * name recognized by git-rev-parse(1). (default: HEAD)
+ * @param {!GetCiStatusOptions=} options Options.
+ * @returns {!Promise<!CiStatus>} CI status of rev.
+ */
+async function getCiStatus(
+  rev = 'HEAD',
+  {
+    debug,
+    exclude,
+    excludeJob,
+    expect,
+    gitOptions,
+    include,
+    includeSuperseded,
+    minChecks,
+    octokit,
+    octokitOptions,
+    onPoll,
+    required,
+    signal,
+    stuckAfterMs,
+    wait,
+    waitAll,
+  } = {},
+) {
+  if (signal) {
+    gitOptions = { ...gitOptions, signal };
   }
-}
 
-function formatStatus(status, contextWidth, useColor) {
-  const stateMarker = getStateMarker(status.state, useColor);
-  const context = status.context.padEnd(contextWidth);
-  const targetUrl = status.target_url ? `\t${status.target_url}` : '';
-  return `${stateMarker}\t${context}${targetUrl}`;
-}
+  const contextFilter = makeContextFilter(include, exclude);
+  const [[owner, repo], sha, requiredBranch] = await Promise.all([
+    getProjectName(gitOptions),
+    resolveCommit(rev, gitOptions),
+    required === true ? resolveBranch(rev, gitOptions) : required || undefined,
+  ]);
 
-function formatStatuses(statuses, useColor) {
-  // If no status has a target_url, there's no need to size context
-  const contextWidth = !statuses.some((status) => status.target_url) ? 0
-    : statuses.reduce(
-      (max, { context }) => Math.max(max, context.length),
-      0,
+  // Identify the check run of excludeJob by its runner, since check runs are
+  // named by job name, which may not match the job ID.
+  if (excludeJob
+    && excludeJob.checkRunId === undefined
+    && excludeJob.runnerName) {
+    const [jobOwner, jobRepo] = excludeJob.repository
+      ? excludeJob.repository.split('/')
+      : [owner, repo];
+    try {
+      const checkRunId = await fetchJobCheckRunId(
+        { owner: jobOwner, repo: jobRepo },
+        excludeJob,
+        { octokit, octokitOptions, signal },
+      );
+      if (checkRunId !== undefined) {
+        excludeJob = { ...excludeJob, checkRunId };
+      }
+    } catch (err) {
+      // Fall back to matching check runs by job ID if the API request failed
+      // (e.g. if the token does not have permission to read Actions).
+      // Other errors (e.g. AbortError) are not expected.
+      if (err.status === undefined) {
+        throw err;
+      }
+
+      if (debug) {
+        debug(`Unable to identify check run of current job (${
+          err.message}).  Matching by job ID.`);
+      }
+    }
+  }
+
+  const now = (wait && wait.now) || Date.now;
+  function makeCiStatus([combinedStatus, checksList, requiredChecks]) {
+    const {
+      statuses: commitStatuses,
+      checkRuns,
+      missingContexts,
+      missingCount,
+      stuckStatuses,
+      stuckCheckRuns,
+    } = selectStatuses(
+      combinedStatus.statuses,
+      checksList.check_runs,
+      {
+        contextFilter,
+        excludeJob,
+        expect,
+        minChecks,
+        // Use the same clock as fetchCiStatus to determine what is stuck
+        now: now(),
+        requiredChecks,
+        stuckAfterMs,
+      },
     );
-  return statuses
-    .map((status) => formatStatus(status, contextWidth, useColor))
-    .join('\n');
-}
+    // Statuses and check runs which are stuck pending have failed
+    const statuses = [
+      ...commitStatuses.map((status) => (stuckStatuses.includes(status)
+        ? { ...status, state: 'timed_out' }
+        : status)),
+      ...checkRuns.map((checkRun) => (stuckCheckRuns.includes(checkRun)
+        ? { ...checkRunToStatus(checkRun), state: 'timed_out' }
+        : checkRunToStatus(checkRun))),
+      // Required or expected checks which have not been reported are pending
+      ...missingContexts.map((context) => ({ state: 'pending', context })),
+    ];
+    // Fewer than minChecks statuses and checks is also pending
+    const state = getState(
+      missingCount > 0 ? [...statuses, { state: 'pending' }] : statuses,
+    );
+    return {
+      owner,
+      repo,
+      sha,
+      state,
+      exitCode: stateToExitCode(state),
+      timedOut: false,
+      aborted: false,
+      statuses,
+      commitStatuses,
+      checkRuns,
+      missingContexts,
+      missingCount,
+      stuckContexts: [
+        ...stuckStatuses.map((status) => status.context),
+        ...stuckCheckRuns.map((checkRun) => checkRun.name),
+      ],
+      combinedStatus,
+      checksList,
+    };
+  }
+
+  let lastPolled;
+  const statusOptions = {
+    contextFilter,
+    debug,
+    excludeJob,
+    expect,
+    includeSuperseded,
+    minChecks,
+    octokit,
+    octokitOptions,
+    // Keep the last poll to return if aborted
+    onPoll: (onPoll || signal) && ((polled) => {
+      lastPolled = polled;
+      if (onPoll) {
+        onPoll(makeCiStatus(polled));
+      }
+    }),
+    requiredBranch,
+    retry: wait,
+    signal,
+    stuckAfterMs,
+    waitAll,
+  };
+  const apiArgs = {
+    owner,
+    repo,
+    ref: sha,
+    // Use maximum page size to minimize number of requests
+    per_page: 100,  // eslint-disable-line camelcase
+  };
+  let fetched;
+  let aborted = false;
+  try {
+    fetched = await fetchCiStatus(apiArgs, statusOptions);
+  } catch (err) {
+    if (!signal || !signal.aborted || lastPolled === undefined) {
+      throw err;
+    }
 
-function getState(statuses) {
-  const bestSeverity = statuses.reduce((maxSeverity, status) => {
-    const severity = stateBySeverity.indexOf(status.state);
-    return Math.max(severity, maxSeverity);
-  }, -1);
-  return stateBySeverity[bestSeverity] || '';
+    fetched = lastPolled;
+    aborted = true;
+  }
+
+  const ciStatus = makeCiStatus(fetched);
+  ciStatus.aborted = aborted;
+
+  // Determine whether fetchCiStatus stopped waiting before the statuses it
+  // was waiting for were reported, using the same rules as its shouldRetry.
+  const isWaiting = waitAll
+    ? ciStatus.missingCount > 0
+      || ciStatus.statuses.some((status) => status.state === 'pending')
+    : ciStatus.state === 'pending';
+  // Unless only required checks are considered, waits for any status
+  const isWaitingForAny = ciStatus.state === '' && fetched[2] === undefined;
+  if ((wait || aborted) && (isWaiting || isWaitingForAny)) {
+    ciStatus.timedOut = true;
+    // Exit code for a failure is more useful than that for a timeout
+    if (ciStatus.exitCode > 1) {
+      ciStatus.exitCode = aborted ? abortExitCode : waitTimeoutExitCode;
+    }
+  }
+
+  return ciStatus;
 }
 
-function stateToExitCode(state) {
-  // Use same exit codes as `hub ci-status`
-  // https://github.com/github/hub/blob/v2.14.2/commands/ci_status.go#L115-L125
-  switch (state) {
-    case 'neutral':
-    case 'success':
-      return 0;
-
-    case 'action_required':
-    case 'cancelled':
-    case 'error':
-    case 'failure':
-    case 'timed_out':
-      return 1;
-
-    case 'pending':
-      return 2;
-
-    default:
-      return 3;
+/** Emits events for changes between CI statuses from consecutive polls.
+ *
+ * @private
+ * @param {!module:events.EventEmitter} emitter Emitter on which to emit
+ * events.
+ * @param {CiStatus|undefined} previous CI status from the previous poll, if
+ * any.
+ * @param {!CiStatus} ciStatus CI status from the current poll.
+ */
+function emitStatusChanges(emitter, previous, ciStatus) {
+  const previousByContext = new Map(
+    previous ? previous.statuses.map((status) => [status.context, status])
+      : [],
+  );
+  for (const status of ciStatus.statuses) {
+    const previousStatus = previousByContext.get(status.context);
+    if (status.state === 'pending') {
+      if (!previousStatus || previousStatus.state !== 'pending') {
+        emitter.emit('checkStart', status, previousStatus);
+      }
+    } else if (!previousStatus || previousStatus.state !== status.state) {
+      emitter.emit('checkComplete', status, previousStatus);
+    }
+  }
+
+  if (!previous || previous.state !== ciStatus.state) {
+    emitter.emit(
+      'stateChange',
+      ciStatus.state,
+      previous ? previous.state : undefined,
+    );
   }
 }
 
-/** Converts a "check_run" object from the Checks API to a "statuses" object
- * from the CI Status API.
+/** Watches the GitHub CI status of a given revision, emitting events as it
+ * changes.
  *
- * https://docs.github.com/rest/reference/checks#list-check-runs-for-a-git-reference
- * https://docs.github.com/rest/reference/repos#get-the-combined-status-for-a-specific-reference
+ * The returned emitter emits the following events:
  *
- * @private
- * @param {!object} checkRun "check_run" object from Checks API response.
- * @returns {!object} "statuses" object from CI Status API response.
+ * - <code>poll</code> with the {@link CiStatus} after each poll.
+ * - <code>checkStart</code> with a status (as in {@link CiStatus#statuses})
+ *   and its status from the previous poll, if any, when it becomes pending.
+ * - <code>checkComplete</code> with a status and its status from the
+ *   previous poll, if any, when it is no longer pending or its state changes.
+ * - <code>stateChange</code> with the combined state and the combined state
+ *   from the previous poll, if any, when the combined state changes.
+ * - <code>end</code> with the final {@link CiStatus} once waiting is done.
+ * - <code>error</code> with the Error, if one occurs.  As with any
+ *   EventEmitter, an error is thrown if there is no listener.
+ *
+ * Events for each poll are emitted in the order checkStart/checkComplete,
+ * stateChange, poll.  The first poll is compared to an empty status, so
+ * events are emitted for every status.  Polling starts asynchronously, so
+ * listeners can be added after this function returns.
+ *
+ * @param {string=} rev Git revision for which to check status.  Can be any
+ * name recognized by git-rev-parse(1). (default: HEAD)
+ * @param {!GetCiStatusOptions=} options Options, as for
+ * {@link getCiStatus}, except that wait defaults to an empty object (i.e.
+ * wait with default retry options until the status is not pending).
+ * @returns {!module:events.EventEmitter} Emitter of events for polls of the
+ * CI status of rev.
  */
-function checkRunToStatus(checkRun) {
-  // Based on mapping done by hub(1)
-  // https://github.com/github/hub/blob/v2.14.2/github/client.go#L543-L551
-  return {
-    state: checkRun.status === 'completed' ? checkRun.conclusion : 'pending',
-    context: checkRun.name,
-    target_url: checkRun.html_url,  // eslint-disable-line camelcase
-  };
+function watchCiStatus(rev, options = {}) {
+  const emitter = new EventEmitter();
+  const { onPoll, wait = {} } = options;
+  let previous;
+  function onWatchPoll(ciStatus) {
+    emitStatusChanges(emitter, previous, ciStatus);
+    previous = ciStatus;
+    emitter.emit('poll', ciStatus);
+    if (onPoll) {
+      onPoll(ciStatus);
+    }
+  }
+
+  // Start on next tick so that the caller can add listeners first
+  process.nextTick(async () => {
+    let ciStatus;
+    try {
+      ciStatus = await getCiStatus(rev, {
+        ...options,
+        onPoll: onWatchPoll,
+        wait,
+      });
+    } catch (err) {
+      emitter.emit('error', err);
+      return;
+    }
+
+    emitter.emit('end', ciStatus);
+  });
+
+  return emitter;
 }
 
-/** Options for {@link hubCiStatus}.
+/** Options for {@link hubCiStatus}.  Includes {@link GetCiStatusOptions},
+ * except debug.
  *
  * @typedef {!object} GithubCiStatusOptions
+ * @property {Array<string>=} exclude Glob patterns of status contexts and
+ * check run names to ignore.
+ * @property {{job: string, runId: string}=} excludeJob GitHub Actions job
+ * for which check runs are ignored.
+ * @property {Array<string>=} expect Glob patterns of status contexts and
+ * check run names which are expected.  State is pending until each pattern
+ * matches a status or check run.
+ * @property {string=} format Format string used to print each status (as
+ * with <code>hub ci-status --format</code>).  Supports placeholders %S
+ * (state), %sC (state color), %t (context), %U (target URL), %n (newline),
+ * %% (percent sign), and colors %Cred, %Cgreen, %Cblue, %Creset, and %C(...).
+ * Implies verbose output (when verbosity is not negative).
  * @property {!module:child_process.ExecFileOptions=} gitOptions Options to
  * pass to {@link child_process.execFile} when invoking git.
+ * @property {Array<string>=} include Glob patterns of status contexts and
+ * check run names to consider.  If non-empty, others are ignored.
+ * @property {number=} minChecks Minimum number of statuses and check runs
+ * which are expected.  State is pending until there are at least this many.
  * @property {!module:"@octokit/core".Octokit=} octokit Octokit instance to
  * use for requests.
  * @property {!module:"@octokit/core".OctokitOptions=} octokitOptions Options
  * to pass to Octokit constructor.  Only used if octokit option is not set.
+ * @property {string=} outputFormat Format of output: 'text' (default),
+ * 'json' (print a single {@link CiStatusJson} document), 'junit' (print a
+ * JUnit XML report with a testcase for each status and check), 'markdown'
+ * (print a Markdown heading and table of statuses and checks), or 'tap'
+ * (print a TAP version 13 stream with a test point for each status and
+ * check).  Formats other than 'text' ignore format and positive verbosity.
+ * @property {(boolean|string)=} required If truthy, only consider the status
+ * checks required by branch protection of the branch named by this option
+ * or, if true, the branch named by rev.
+ * @property {boolean=} showSuperseded If truthy, verbose text output
+ * includes check runs which were superseded by a later attempt (e.g. from
+ * re-running a job), with " (superseded)" appended to their context.
+ * Superseded attempts do not affect state or exit code.
+ * @property {module:globals.AbortSignal=} signal Signal which cancels git
+ * processes, API requests, and waiting when aborted.  If aborted while
+ * waiting, the CI status from the last poll is printed, with pending
+ * contexts printed to stderr.
+ * @property {number=} stuckAfterMs Amount of time, in milliseconds, after
+ * which a pending status or check run is considered failed.  Contexts of
+ * these are printed to stderr.
  * @property {!module:stream.Writable=} stderr Stream to which errors (and
  * non-output status messages) are written. (default: process.stderr)
  * @property {!module:stream.Readable=} stdin Stream from which input is read.
@@ -145,7 +585,8 @@ function checkRunToStatus(checkRun) {
  * @property {!module:"lib/retry-async.js".RetryAsyncOptions=} wait Options
  * to control retry attempts.  If truthy, will retry until the combined status
  * is not pending.  Note: #shouldRetry is ignored and a function which tests
- * status is used.
+ * status is used.  With verbosity 1 and text output to a TTY, statuses are
+ * redrawn in place after each attempt.
  * @property {boolean=} waitAll If truthy, retry as long as any status is
  * pending (instead of returning once any status fails).
  */
@@ -163,11 +604,22 @@ module.exports =
 async function hubCiStatus(
   rev = 'HEAD',
   {
+    exclude,
+    excludeJob,
+    expect,
+    format,
     gitOptions,
+    include,
+    minChecks,
     octokit,
     octokitOptions,
+    outputFormat = 'text',
+    required,
+    showSuperseded,
+    signal,
     stderr = process.stderr,
     stdout = process.stdout,
+    stuckAfterMs,
     useColor,
     verbosity,
     wait,
@@ -176,35 +628,158 @@ async function hubCiStatus(
 ) {
   verbosity = Number(verbosity) || 0;
 
-  const [[owner, repo], ref] = await Promise.all([
-    getProjectName(gitOptions),
-    resolveCommit(rev, gitOptions),
-  ]);
-  const statusOptions = {
-    octokit,
-    octokitOptions,
-    retry: wait,
-    waitAll,
-  };
-  if (verbosity > 1) {
-    statusOptions.debug = (msg) => stderr.write(`DEBUG: ${msg}\n`);
+  if (!outputFormats.includes(outputFormat)) {
+    throw new RangeError(
+      `outputFormat must be one of ${outputFormats.join(', ')}`,
+    );
+  }
+
+  const useColorOrIsTTY = useColor === false ? false
+    : useColor === true ? true
+      : stdout.isTTY;
+
+  // Redraw verbose output in place after each poll while waiting on a TTY
+  let watchView;
+  let waitOptions = wait;
+  if (wait
+    && verbosity === 1
+    && outputFormat === 'text'
+    && format === undefined
+    && stdout.isTTY) {
+    watchView = new WatchView(stdout, {
+      now: wait.now,
+      useColor: useColorOrIsTTY,
+    });
+    const waitSetTimeout = wait.setTimeout || setTimeoutP;
+    waitOptions = {
+      ...wait,
+      async setTimeout(delay, value, opts) {
+        await watchView.wait(
+          delay,
+          (tickMs) => waitSetTimeout(tickMs, undefined, opts),
+        );
+        return value;
+      },
+    };
+  }
+
+  let ciStatus;
+  try {
+    ciStatus = await getCiStatus(rev, {
+      debug: verbosity > 1 ? (msg) => stderr.write(`DEBUG: ${msg}\n`)
+        : undefined,
+      exclude,
+      excludeJob,
+      expect,
+      gitOptions,
+      include,
+      includeSuperseded: showSuperseded,
+      minChecks,
+      octokit,
+      octokitOptions,
+      onPoll: watchView && ((polled) => watchView.update(polled)),
+      required,
+      signal,
+      stuckAfterMs,
+      wait: waitOptions,
+      waitAll,
+    });
+  } finally {
+    if (watchView) {
+      watchView.clear();
+    }
   }
-  const [combinedStatus, checksList] =
-    await fetchCiStatus({ owner, repo, ref }, statusOptions);
-
-  const statuses = [
-    ...combinedStatus.statuses,
-    ...checksList.check_runs.map(checkRunToStatus),
-  ];
-  const state = getState(statuses);
-  if (verbosity >= 0) {
-    const useColorOrIsTTY = useColor === false ? false
-      : useColor === true ? true
-        : stdout.isTTY;
-    const formatted = verbosity === 0 ? state
-      : formatStatuses(statuses, useColorOrIsTTY);
-    stdout.write(`${formatted || 'no status'}\n`);
+
+  const {
+    owner,
+    repo,
+    sha,
+    state,
+    exitCode,
+    timedOut,
+    aborted,
+    statuses,
+    commitStatuses,
+    checkRuns,
+    missingContexts,
+    missingCount,
+    stuckContexts,
+    checksList,
+  } = ciStatus;
+  if (timedOut) {
+    const pendingContexts = statuses
+      .filter((status) => status.state === 'pending')
+      .map((status) => status.context);
+    if (missingCount > 0) {
+      pendingContexts.push(`${missingCount} more statuses or checks`);
+    }
+    const stopped = aborted ? 'Interrupted' : 'Timed out';
+    stderr.write(`Error: ${stopped} waiting for ${
+      pendingContexts.join(', ') || 'any CI status or check'}\n`);
+  }
+
+  if (stuckContexts.length > 0) {
+    stderr.write(`Error: Pending for more than ${stuckAfterMs / 1000
+    } seconds: ${stuckContexts.join(', ')}\n`);
   }
 
-  return stateToExitCode(state);
+  if (verbosity >= 0 && outputFormat === 'json') {
+    const ciStatusJson = {
+      owner,
+      repo,
+      sha,
+      state: state || null, // eslint-disable-line unicorn/no-null
+      exitCode,
+      timedOut,
+      statuses: commitStatuses,
+      checkRuns,
+      missingContexts,
+      missingCount,
+      stuckContexts,
+    };
+    stdout.write(`${JSON.stringify(ciStatusJson, undefined, 2)}\n`);
+  } else if (verbosity >= 0 && outputFormat === 'junit') {
+    stdout.write(formatJUnit(ciStatus));
+  } else if (verbosity >= 0 && outputFormat === 'markdown') {
+    stdout.write(formatMarkdown(ciStatus));
+  } else if (verbosity >= 0 && outputFormat === 'tap') {
+    stdout.write(formatTap(ciStatus));
+  } else if (verbosity >= 0) {
+    let verboseStatuses = statuses;
+    if (showSuperseded) {
+      // Superseded attempts have the same name as the latest attempt
+      const checkNames = new Set(checkRuns.map((checkRun) => checkRun.name));
+      // Use statuses for the latest attempts, which are timed_out if stuck
+      const reportedCount = commitStatuses.length + checkRuns.length;
+      verboseStatuses = [
+        ...statuses.slice(0, commitStatuses.length),
+        ...checksList.check_runs
+          .filter((checkRun) => checkNames.has(checkRun.name))
+          .map((checkRun) => {
+            const i = checkRuns.indexOf(checkRun);
+            if (i >= 0) {
+              return statuses[commitStatuses.length + i];
+            }
+
+            const status = checkRunToStatus(checkRun);
+            return { ...status, context: `${status.context} (superseded)` };
+          }),
+        ...statuses.slice(reportedCount),
+      ];
+    }
+    if (format !== undefined && statuses.length > 0) {
+      stdout.write(
+        formatStatusesWithFormat(verboseStatuses, format, useColorOrIsTTY),
+      );
+    } else {
+      const formatted = verbosity === 0 ? state
+        : formatStatuses(verboseStatuses, useColorOrIsTTY);
+      stdout.write(`${formatted || 'no status'}\n`);
+    }
+  }
+
+  return exitCode;
 };
+
+module.exports.getCiStatus = getCiStatus;
+module.exports.watchCiStatus = watchCiStatus;
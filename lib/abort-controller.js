@@ -0,0 +1,29 @@
+/**
+ * @copyright Copyright 2021 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const AbortSignal = require('./abort-signal.js');
+
+/** Minimal AbortController with the interface used by this package, for
+ * Node.js versions without AbortController (before 15).
+ *
+ * @private
+ */
+class AbortController {
+  constructor() {
+    this.signal = new AbortSignal();
+  }
+
+  abort() {
+    const { signal } = this;
+    if (!signal.aborted) {
+      signal.aborted = true;
+      signal.dispatchEvent({ type: 'abort' });
+    }
+  }
+}
+
+module.exports = AbortController;
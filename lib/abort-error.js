@@ -0,0 +1,41 @@
+/**
+ * @copyright Copyright 2021 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+/** Error for an operation which was aborted by an AbortSignal.
+ *
+ * Has the same name and code as the Error from Node.js APIs which accept an
+ * AbortSignal (e.g. timers/promises).
+ *
+ * @private
+ */
+class AbortError extends Error {
+  constructor(message = 'The operation was aborted') {
+    super(message);
+    this.code = 'ABORT_ERR';
+  }
+
+  /** Gets the error to throw for an error from an operation which may have
+   * been aborted.
+   *
+   * Octokit reports aborted requests as RequestError with status 500, which
+   * callers could mistake for a transient server error.
+   *
+   * @param {!Error} err Error from the operation.
+   * @param {module:globals.AbortSignal=} signal Signal passed to the
+   * operation.
+   * @returns {!Error} err if it is an AbortError or signal is not aborted,
+   * otherwise a new AbortError.
+   */
+  static fromSignal(err, signal) {
+    return signal && signal.aborted && err.name !== 'AbortError'
+      ? new AbortError()
+      : err;
+  }
+}
+AbortError.prototype.name = 'AbortError';
+
+module.exports = AbortError;
@@ -0,0 +1,46 @@
+/**
+ * @copyright Copyright 2021 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+/** Minimal AbortSignal with the interface used by this package, for Node.js
+ * versions without AbortController.  Created by
+ * {@link module:"lib/abort-controller.js"}.
+ *
+ * Note: The class is named AbortSignal because node-fetch (used by Octokit)
+ * only accepts signals with a constructor of that name.
+ *
+ * @private
+ */
+class AbortSignal {
+  constructor() {
+    this.aborted = false;
+    this.listeners = new Set();
+  }
+
+  addEventListener(type, listener) {
+    if (type === 'abort') {
+      this.listeners.add(listener);
+    }
+  }
+
+  removeEventListener(type, listener) {
+    if (type === 'abort') {
+      this.listeners.delete(listener);
+    }
+  }
+
+  dispatchEvent(event) {
+    if (event.type === 'abort') {
+      for (const listener of [...this.listeners]) {
+        listener.call(this, event);
+      }
+    }
+
+    return true;
+  }
+}
+
+module.exports = AbortSignal;
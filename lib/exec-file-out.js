@@ -7,22 +7,44 @@
 
 const { execFile } = require('child_process');
 
+const AbortError = require('./abort-error.js');
+
 /** Promisified <code>execFile</code> wrapper which only provides access to
  * <code>stdout</code> and fails if <code>stderr</code> is non-empty.
  *
  * @param {string} file The name or path of the executable file to run
  * @param {Array<string>=} args List of string arguments
  * @param {module:child_process.ExecFileOptions=} options Options to pass to
- * {@link child_process.execFile}.
+ * {@link child_process.execFile}.  If options.signal is aborted, the child
+ * process is killed and the returned Promise is rejected with an AbortError.
  * @returns {!Promise<string|!Buffer>} Promise of <code>stdout</code> or
  * Error if <code>execFile</code> fails or <code>stderr</code> contains
  * non-whitespace characters.
  * @private
  */
 function execFileOut(file, args, options) {
+  // Note: execFile supports signal on Node.js >= 15.4.  Handle it here so
+  // the child is killed (and AbortError is returned) on all versions.
+  const { signal, ...execOptions } = options || {};
   return new Promise((resolve, reject) => {
-    const child = execFile(file, args, options, (err, stdout, stderr) => {
-      if (err) {
+    if (signal && signal.aborted) {
+      reject(new AbortError());
+      return;
+    }
+
+    let child;
+    function onAbort() {
+      child.kill();
+    }
+
+    child = execFile(file, args, execOptions, (err, stdout, stderr) => {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+
+      if (signal && signal.aborted) {
+        reject(new AbortError());
+      } else if (err) {
         err.stdout = stdout;
         err.stderr = stderr;
         reject(err);
@@ -45,6 +67,9 @@ function execFileOut(file, args, options) {
       }
     });
     child.stdin.end();
+    if (signal) {
+      signal.addEventListener('abort', onAbort);
+    }
   });
 }
 
@@ -0,0 +1,115 @@
+/**
+ * @copyright Copyright 2021 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+// eslint-disable-next-line no-shadow
+const { hasOwnProperty } = Object.prototype;
+
+// SGR parameters for color names and attributes, as in git-config(1) and
+// hub(1) (which uses the same color specification syntax as git).
+const colorCodes = Object.freeze(Object.assign(Object.create(null), {
+  normal: undefined,
+  black: 30,
+  red: 31,
+  green: 32,
+  yellow: 33,
+  blue: 34,
+  magenta: 35,
+  cyan: 36,
+  white: 37,
+}));
+const attributeCodes = Object.freeze(Object.assign(Object.create(null), {
+  reset: 0,
+  bold: 1,
+  dim: 2,
+  italic: 3,
+  ul: 4,
+  blink: 5,
+  reverse: 7,
+  strike: 9,
+}));
+
+/** Gets the ANSI escape sequence for a git color specification.
+ *
+ * @private
+ * @param {string} colorSpec Space-separated color specification, as in
+ * git-config(1) (e.g. "bold red" or "yellow blue").
+ * @returns {string|undefined} ANSI escape sequence for colorSpec, or
+ * undefined if colorSpec is not recognized.
+ */
+function colorSpecToEscape(colorSpec) {
+  const codes = [];
+  let colorCount = 0;
+  for (const word of colorSpec.split(' ')) {
+    if (word) {
+      if (word in colorCodes) {
+        const colorCode = colorCodes[word];
+        if (colorCount === 0) {
+          if (colorCode !== undefined) {
+            codes.push(colorCode);
+          }
+        } else if (colorCount === 1) {
+          if (colorCode !== undefined) {
+            // Background colors are 10 more than foreground
+            codes.push(colorCode + 10);
+          }
+        } else {
+          return undefined;
+        }
+        colorCount += 1;
+      } else if (word in attributeCodes) {
+        codes.push(attributeCodes[word]);
+      } else {
+        return undefined;
+      }
+    }
+  }
+
+  return `\u001B[${codes.join(';')}m`;
+}
+
+/** Expands placeholders in a format string, as done by the --format option
+ * of hub(1) (which is modeled after the PRETTY FORMATS of git-log(1)).
+ *
+ * Supported placeholders are <code>%n</code> (newline), <code>%%</code>
+ * (literal <code>%</code>), <code>%Cred</code>, <code>%Cgreen</code>,
+ * <code>%Cblue</code>, <code>%Creset</code>, <code>%C(...)</code> (color
+ * specification as in git-config(1)), and one or two letter keys of values.
+ * Unrecognized placeholders are left unexpanded.
+ *
+ * @private
+ * @param {string} format Format string with placeholders to expand.
+ * @param {!object<string,string>} values Values of one or two letter
+ * placeholders.  Two letter placeholders take precedence.
+ * @param {boolean=} useColor Should color placeholders be replaced by ANSI
+ * escape sequences?  If not, they are replaced by empty strings.
+ * @returns {string} format with placeholders replaced by expanded values.
+ */
+module.exports =
+function expandFormat(format, values, useColor) {
+  return format.replace(
+    /%(?:([%n])|C\(([^)]*)\)|C(red|green|blue|reset)|([A-Za-z])([A-Za-z]?))/g,
+    (placeholder, special, colorSpec, colorName, key1, key2) => {
+      if (special) {
+        return special === 'n' ? '\n' : '%';
+      }
+
+      if (colorSpec !== undefined || colorName !== undefined) {
+        const colorEscape = colorSpecToEscape(colorSpec || colorName);
+        if (colorEscape !== undefined) {
+          return useColor ? colorEscape : '';
+        }
+      } else if (key2 && hasOwnProperty.call(values, key1 + key2)) {
+        return values[key1 + key2];
+      } else if (hasOwnProperty.call(values, key1)) {
+        return values[key1] + key2;
+      }
+
+      // Leave unrecognized placeholders unexpanded, like git-log(1)
+      return placeholder;
+    },
+  );
+};
@@ -8,14 +8,229 @@
 const { Octokit } = require('@octokit/rest');
 const { Agent: HttpAgent } = require('http');
 const { Agent: HttpsAgent } = require('https');
-const timers = require('timers');
-const { promisify } = require('util');
 
 const packageJson = require('../package.json');
+const AbortError = require('./abort-error.js');
 const retryAsync = require('./retry-async.js');
+const selectStatuses = require('./select-statuses.js');
+const { setTimeout: setTimeoutP } = require('./timers-promises.js');
 
-// TODO [engine:node@>=15]: import { setTimeout } from 'timers/promises';
-const setTimeoutP = promisify(timers.setTimeout);
+/** Fetches all pages of a paginated list endpoint.
+ *
+ * The first page is requested with the given arguments.  Subsequent pages
+ * are requested with an incrementing page number until the number of items
+ * reaches the total_count reported by the most recent response (or an empty
+ * page is returned, which can occur if items are removed between requests).
+ *
+ * @private
+ * @param {function(!object): !Promise<!object>} requestPage Function which
+ * requests a page of results (e.g. an Octokit endpoint method).
+ * @param {!object} apiArgs Arguments for requestPage.
+ * @param {string} itemsKey Name of the property of response data which
+ * contains the paginated items.
+ * @returns {!Promise<!object>} Promise for response data of the first page
+ * with itemsKey set to the concatenation of items from all pages.
+ */
+async function fetchAllPages(requestPage, apiArgs, itemsKey) {
+  const { data } = await requestPage(apiArgs);
+  const items = [...data[itemsKey]];
+  let totalCount = data.total_count;
+  /* eslint-disable no-await-in-loop */
+  for (let page = 2; items.length < totalCount; page += 1) {
+    const { data: pageData } = await requestPage({ ...apiArgs, page });
+    const pageItems = pageData[itemsKey];
+    if (pageItems.length === 0) {
+      break;
+    }
+
+    items.push(...pageItems);
+    totalCount = pageData.total_count;
+  }
+  /* eslint-enable no-await-in-loop */
+
+  return {
+    ...data,
+    [itemsKey]: items,
+  };
+}
+
+/** Wraps a request function to make conditional requests using the ETag of
+ * the previous response for the same arguments, if any.
+ *
+ * Responses with status 304 (Not Modified) are replaced by the previous
+ * response, which avoids transferring unchanged data and does not count
+ * against the GitHub API rate limit.
+ *
+ * https://docs.github.com/rest/overview/resources-in-the-rest-api#conditional-requests
+ *
+ * @private
+ * @param {function(!object): !Promise<!object>} request Function which makes
+ * a request (e.g. an Octokit endpoint method).
+ * @returns {function(!object): !Promise<!object>} Function which makes a
+ * request with If-None-Match set to the ETag of the previous response for
+ * the same arguments, if any.
+ */
+function makeConditional(request) {
+  const responseByArgs = new Map();
+  return async function conditionalRequest(requestArgs) {
+    const key = JSON.stringify(requestArgs);
+    const prevResponse = responseByArgs.get(key);
+    const etag = prevResponse && prevResponse.headers.etag;
+    let response;
+    try {
+      response = await request(!etag ? requestArgs : {
+        ...requestArgs,
+        headers: {
+          ...requestArgs.headers,
+          'if-none-match': etag,
+        },
+      });
+    } catch (err) {
+      if (etag && err.status === 304) {
+        return prevResponse;
+      }
+
+      throw err;
+    }
+
+    if (response.headers && response.headers.etag) {
+      responseByArgs.set(key, response);
+    }
+
+    return response;
+  };
+}
+
+/** Fraction of the rate limit below which the remaining requests are
+ * spread over the time until the rate limit is reset.
+ *
+ * @private
+ */
+const rateLimitReserveFraction = 0.1;
+
+/** Gets the amount of time to wait between polls to avoid exceeding the
+ * GitHub API rate limit, based on the rate limit headers of a response.
+ *
+ * https://docs.github.com/rest/overview/resources-in-the-rest-api#rate-limit-http-headers
+ *
+ * @private
+ * @param {!object<string,string>} headers Headers of an API response.
+ * @param {number} requestsPerPoll Number of requests made in each poll.
+ * @param {number} now Current time, in milliseconds since the epoch.
+ * @returns {number} Number of milliseconds to wait between polls so that the
+ * remaining requests last until the rate limit is reset, or 0 if the
+ * remaining requests are not close to the limit (or unknown).
+ */
+function getRateLimitWaitMs(headers, requestsPerPoll, now) {
+  const limit = Number(headers['x-ratelimit-limit']);
+  const remaining = Number(headers['x-ratelimit-remaining']);
+  const untilResetMs = Number(headers['x-ratelimit-reset']) * 1000 - now;
+  if (!(remaining >= 0)
+    || !(untilResetMs > 0)
+    || remaining >= limit * rateLimitReserveFraction) {
+    return 0;
+  }
+
+  const remainingPolls = Math.floor(remaining / requestsPerPoll);
+  return remainingPolls > 0 ? Math.ceil(untilResetMs / remainingPolls)
+    : untilResetMs;
+}
+
+/** Gets the amount of time to wait before retrying a request which failed
+ * due to exceeding a GitHub API rate limit.
+ *
+ * https://docs.github.com/rest/overview/resources-in-the-rest-api#rate-limiting
+ * https://docs.github.com/rest/guides/best-practices-for-integrators#dealing-with-secondary-rate-limits
+ *
+ * @private
+ * @param {!Error} err Error from Octokit.
+ * @param {number} now Current time, in milliseconds since the epoch.
+ * @returns {number|undefined} Number of milliseconds to wait before retrying,
+ * or undefined if err is not caused by exceeding a rate limit.
+ */
+function getRateLimitErrorWaitMs(err, now) {
+  if ((err.status !== 403 && err.status !== 429) || !err.response) {
+    return undefined;
+  }
+
+  const headers = err.response.headers || {};
+  const retryAfter = Number(headers['retry-after']);
+  if (headers['retry-after'] !== undefined && retryAfter >= 0) {
+    return retryAfter * 1000;
+  }
+
+  if (headers['x-ratelimit-remaining'] === '0') {
+    const untilResetMs = Number(headers['x-ratelimit-reset']) * 1000 - now;
+    return untilResetMs > 0 ? untilResetMs : 0;
+  }
+
+  if (/\bsecondary rate limit\b/i.test(err.message)) {
+    // Recommended wait when Retry-After is not sent
+    return 60000;
+  }
+
+  return undefined;
+}
+
+/** Error codes of network errors which are likely to succeed if retried.
+ *
+ * @private
+ */
+const transientErrorCodes = new Set([
+  'EAI_AGAIN',
+  'ECONNABORTED',
+  'ECONNREFUSED',
+  'ECONNRESET',
+  'EHOSTUNREACH',
+  'ENETUNREACH',
+  'EPIPE',
+  'ETIMEDOUT',
+]);
+
+/** Determines whether a request error is likely to be transient.
+ *
+ * Note: Octokit reports network errors as RequestError with status 500.
+ *
+ * @private
+ * @param {!Error} err Error from Octokit.
+ * @returns {boolean} true if err is a network error or 5xx response, which
+ * may succeed if the request is retried.
+ */
+function isTransientError(err) {
+  return err.status >= 500
+    || (err.status === undefined && transientErrorCodes.has(err.code));
+}
+
+/** Gets the required status checks from branch protection of a branch.
+ *
+ * https://docs.github.com/rest/reference/repos#get-a-branch
+ *
+ * @private
+ * @param {!object} branch "branch" object from the Branches API.
+ * @returns {Array<!module:"lib/select-statuses.js".RequiredCheck>|undefined}
+ * Required status checks, or undefined if status checks are not required.
+ */
+function getRequiredChecks(branch) {
+  const requiredStatusChecks =
+    branch.protection && branch.protection.required_status_checks;
+  if (!requiredStatusChecks) {
+    return undefined;
+  }
+
+  let requiredChecks;
+  if (requiredStatusChecks.checks) {
+    requiredChecks = requiredStatusChecks.checks.map((check) => ({
+      context: check.context,
+      // null or -1 if any app may provide the check
+      appId: check.app_id > 0 ? check.app_id : undefined,
+    }));
+  } else {
+    requiredChecks = (requiredStatusChecks.contexts || [])
+      .map((context) => ({ context }));
+  }
+
+  return requiredChecks.length > 0 ? requiredChecks : undefined;
+}
 
 module.exports =
 async function fetchCiStatus(apiArgs, options = {}) {
@@ -50,37 +265,134 @@ async function fetchCiStatus(apiArgs, options = {}) {
     octokit = new Octokit(octokitOptions);
   }
 
-  async function getStatus() {
-    const response = await octokit.repos.getCombinedStatusForRef(apiArgs);
-    return response.data;
+  const {
+    contextFilter,
+    debug,
+    excludeJob,
+    expect,
+    includeSuperseded,
+    minChecks,
+    onPoll,
+    requiredBranch,
+    retry,
+    signal,
+    stuckAfterMs,
+    waitAll,
+  } = options;
+  const now = (retry && retry.now) || Date.now;
+
+  const deadline = retry && retry.maxTotalMs !== undefined
+    ? now() + retry.maxTotalMs
+    : Infinity;
+  const retrySetTimeout = (retry && retry.setTimeout) || setTimeoutP;
+
+  // Rate limit headers from the most recent response
+  let rateLimitHeaders;
+  let pollRequestCount = 0;
+  // Largest X-Poll-Interval of responses in the current poll, in ms
+  let pollIntervalMs;
+  function recordHeaders(headers) {
+    rateLimitHeaders = headers;
+    const headerPollIntervalMs = Number(headers['x-poll-interval']) * 1000;
+    if (headerPollIntervalMs > (pollIntervalMs || 0)) {
+      pollIntervalMs = headerPollIntervalMs;
+    }
+  }
+  // Abort in-flight requests when signal is aborted
+  function withSignal(requestArgs) {
+    return signal ? { ...requestArgs, request: { signal } } : requestArgs;
+  }
+  async function request(endpoint, requestArgs) {
+    pollRequestCount += 1;
+    let response;
+    try {
+      response = await endpoint(withSignal(requestArgs));
+    } catch (err) {
+      // 304 Not Modified responses include rate limit and poll headers
+      if (err.status === 304 && err.response && err.response.headers) {
+        recordHeaders(err.response.headers);
+      }
+      throw err;
+    }
+    if (response.headers) {
+      recordHeaders(response.headers);
+    }
+    return response;
+  }
+
+  // Use conditional requests so unchanged results are cheap to poll
+  const getCombinedStatusForRef = makeConditional(
+    (pageArgs) => request(octokit.repos.getCombinedStatusForRef, pageArgs),
+  );
+  function getStatus() {
+    return fetchAllPages(getCombinedStatusForRef, apiArgs, 'statuses');
   }
 
-  async function listForRef() {
-    const response = await octokit.checks.listForRef(apiArgs);
-    return response.data;
+  const listChecksForRef = makeConditional(
+    (pageArgs) => request(octokit.checks.listForRef, pageArgs),
+  );
+  // Attempts superseded by a re-run are omitted by default (filter=latest).
+  // If requested, include them so callers can show them.  selectStatuses
+  // ignores them.
+  const checksArgs = includeSuperseded ? { ...apiArgs, filter: 'all' }
+    : apiArgs;
+  function listForRef() {
+    return fetchAllPages(listChecksForRef, checksArgs, 'check_runs');
   }
 
-  function getBoth() {
-    return Promise.all([
+  let requiredChecks;
+
+  async function getBoth() {
+    pollRequestCount = 0;
+    pollIntervalMs = undefined;
+    const result = await Promise.all([
       getStatus(),
       listForRef(),
     ]);
+    if (onPoll) {
+      onPoll(requiredBranch === undefined ? result
+        : [...result, requiredChecks]);
+    }
+    return result;
   }
 
-  const { debug, retry, waitAll } = options;
-
   let statusCount = 0;
   let statusWaitCount = 0;
   let checkCount = 0;
   let checkWaitCount = 0;
   function shouldRetry([combinedStatus, checksList]) {
-    const { statuses } = combinedStatus;
-    const checkRuns = checksList.check_runs;
+    const {
+      statuses,
+      checkRuns,
+      missingContexts,
+      missingCount,
+      stuckStatuses,
+      stuckCheckRuns,
+    } = selectStatuses(
+      combinedStatus.statuses,
+      checksList.check_runs,
+      {
+        contextFilter,
+        excludeJob,
+        expect,
+        minChecks,
+        now: now(),
+        requiredChecks,
+        stuckAfterMs,
+      },
+    );
+
+    // Stuck statuses and check runs are failed, not pending
+    if (!waitAll && (stuckStatuses.length > 0 || stuckCheckRuns.length > 0)) {
+      return false;
+    }
 
     statusCount = statuses.length;
     statusWaitCount = 0;
     for (const status of statuses) {
-      if (status.state === 'pending') {
+      if (stuckStatuses.includes(status)) {
+        // Failed.  Continue waiting for others, since waitAll is set.
+      } else if (status.state === 'pending') {
         statusWaitCount += 1;
       } else if (!waitAll && status.state !== 'success') {
         // Combined status is not pending and user didn't request wait all.
@@ -88,57 +400,140 @@ async function fetchCiStatus(apiArgs, options = {}) {
       }
     }
 
-    checkCount = checkRuns.length;
-    checkWaitCount = 0;
+    // Required or expected checks which have not been reported are pending
+    const missingCheckCount = missingContexts.length + missingCount;
+    checkCount = checkRuns.length + missingCheckCount;
+    checkWaitCount = missingCheckCount;
     for (const checkRun of checkRuns) {
-      if (checkRun.status === 'queued' || checkRun.status === 'in_progress') {
+      if (stuckCheckRuns.includes(checkRun)) {
+        // Failed.  Continue waiting for others, since waitAll is set.
+      } else if (checkRun.status === 'queued'
+        || checkRun.status === 'in_progress') {
         checkWaitCount += 1;
       } else if (!waitAll
         && checkRun.conclusion !== 'success'
-        && checkRun.conclusion !== 'neutral') {
+        && checkRun.conclusion !== 'neutral'
+        && checkRun.conclusion !== 'skipped') {
         // Combined status is not pending and user didn't request wait all.
         return false;
       }
     }
 
+    // Wait for any status unless no checks are required
     return statusWaitCount > 0
       || checkWaitCount > 0
-      || (statusCount === 0 && checkCount === 0);
+      || (statusCount === 0 && checkCount === 0 && !requiredChecks);
+  }
+
+  // Wait for rate limit to reset, rather than failing, when waiting
+  async function getBothAfterRateLimit() {
+    /* eslint-disable no-await-in-loop */
+    for (;;) {
+      try {
+        return await getBoth();
+      } catch (err) {
+        const waitMs = getRateLimitErrorWaitMs(err, now());
+        if (waitMs === undefined || now() + waitMs > deadline) {
+          throw err;
+        }
+
+        if (debug) {
+          options.debug(
+            `Rate limit exceeded (${err.message}).  `
+            + `Retry in ${waitMs / 1000} seconds...`,
+          );
+        }
+        await retrySetTimeout(waitMs, undefined, signal && { signal });
+      }
+    }
+    /* eslint-enable no-await-in-loop */
+  }
+
+  function getWaitingFor() {
+    if (statusCount === 0 && checkCount === 0) {
+      return 'any CI status or check';
+    }
+
+    let waitingFor = '';
+    if (statusWaitCount > 0) {
+      waitingFor += `${statusWaitCount}/${statusCount} CI statuses`;
+    }
+    if (checkWaitCount > 0) {
+      if (waitingFor) {
+        waitingFor += ' and ';
+      }
+      waitingFor += `${checkWaitCount}/${checkCount} checks`;
+    }
+    return waitingFor;
   }
 
+  // Transient error from the most recent poll, which will be retried
+  let retryError;
   const retryOptions = {
     ...retry,
-    shouldRetry,
-  };
-
-  if (debug) {
-    const origSetTimeout = retryOptions.setTimeout || setTimeoutP;
-    retryOptions.setTimeout = (delay, value, opts) => {
-      let waitingFor;
-      if (statusCount === 0 && checkCount === 0) {
-        waitingFor = 'any CI status or check';
-      } else {
-        waitingFor = '';
-        if (statusWaitCount > 0) {
-          waitingFor += `${statusWaitCount}/${statusCount} CI statuses`;
+    setTimeout: (delay, value, opts) => {
+      // Stretch wait so the rate limit is not exceeded before it is reset
+      const rateLimitWaitMs = !rateLimitHeaders ? 0
+        : getRateLimitWaitMs(rateLimitHeaders, pollRequestCount, now());
+      if (rateLimitWaitMs > delay) {
+        delay = Math.max(delay, Math.min(rateLimitWaitMs, deadline - now()));
+        if (debug) {
+          options.debug(`Slowing polling for rate limit (${
+            rateLimitHeaders['x-ratelimit-remaining']} requests remaining).`);
         }
-        if (checkWaitCount > 0) {
-          if (waitingFor) {
-            waitingFor += ' and ';
-          }
-          waitingFor += `${checkWaitCount}/${checkCount} checks`;
+      }
+
+      if (debug) {
+        if (retryError) {
+          options.debug(
+            `Request failed (${retryError.message}).  `
+            + `Retry in ${delay / 1000} seconds...`,
+          );
+        } else {
+          const waitingFor = getWaitingFor();
+          options.debug(
+            `Waiting for ${waitingFor}.  Retry in ${delay / 1000} seconds...`,
+          );
         }
       }
 
-      options.debug(
-        `Waiting for ${waitingFor}.  Retry in ${delay / 1000} seconds...`,
-      );
-      return origSetTimeout(delay, value, opts);
-    };
+      retryError = undefined;
+      return retrySetTimeout(delay, value, opts);
+    },
+    // Wait at least as long as the API asked clients to wait between polls
+    getMinDelayMs: () => pollIntervalMs,
+    shouldRetry,
+    shouldRetryError: (err) => {
+      retryError = isTransientError(err) ? err : undefined;
+      return retryError !== undefined;
+    },
+  };
+  if (signal) {
+    retryOptions.signal = signal;
   }
 
+  const poll = retry ? () => retryAsync(getBothAfterRateLimit, retryOptions)
+    : getBoth;
   try {
-    return await (retry ? retryAsync(getBoth, retryOptions) : getBoth());
+    if (requiredBranch === undefined) {
+      return await poll();
+    }
+
+    const { data: branch } = await octokit.repos.getBranch(withSignal({
+      owner: apiArgs.owner,
+      repo: apiArgs.repo,
+      branch: requiredBranch,
+    }));
+    requiredChecks = getRequiredChecks(branch);
+    if (requiredChecks === undefined && debug) {
+      // Considering only required checks would ignore every status
+      options.debug(`Branch ${requiredBranch} has no required status checks.  `
+        + 'Considering all statuses and check runs.');
+    }
+    const [combinedStatus, checksList] = await poll();
+    return [combinedStatus, checksList, requiredChecks];
+  } catch (err) {
+    throw AbortError.fromSignal(err, signal);
   } finally {
     if (agent) {
       agent.destroy();
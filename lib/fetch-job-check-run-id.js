@@ -0,0 +1,114 @@
+/**
+ * @copyright Copyright 2021 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const { Octokit } = require('@octokit/rest');
+
+const packageJson = require('../package.json');
+const AbortError = require('./abort-error.js');
+
+/** Number of jobs requested per page.  (Maximum allowed by the API.)
+ *
+ * @private
+ * @constant
+ * @type {number}
+ */
+const jobsPerPage = 100;
+
+/** Gets the ID of the check run for a workflow job from the API.
+ *
+ * @private
+ * @param {!object} job "jobs" object from the Actions API.
+ * @returns {number|undefined} ID of the check run for job, if known.
+ */
+function getCheckRunId(job) {
+  const match = /\/check-runs\/(\d+)$/.exec(job.check_run_url);
+  return match ? Number(match[1]) : undefined;
+}
+
+/** Options for {@link fetchJobCheckRunId}.
+ *
+ * @private
+ * @typedef {!object} FetchJobCheckRunIdOptions
+ * @property {!module:"@octokit/core".Octokit=} octokit Octokit instance to
+ * use for requests.
+ * @property {!module:"@octokit/core".OctokitOptions=} octokitOptions Options
+ * to pass to Octokit constructor.  Only used if octokit option is not set.
+ * @property {module:globals.AbortSignal=} signal Signal which cancels
+ * requests when aborted.
+ */
+
+/** Fetches the ID of the check run for the GitHub Actions job which is
+ * running on a given runner.
+ *
+ * The check run for a job is named by the job name, which may differ from
+ * the job ID in $GITHUB_JOB (e.g. jobs with a name or jobs which call a
+ * reusable workflow).  Since a runner runs one job at a time, the job can be
+ * identified by the runner name (from $RUNNER_NAME) instead.
+ *
+ * @private
+ * @param {!{owner: string, repo: string}} apiArgs Repository of the workflow
+ * run.
+ * @param {!object} actionsJob GitHub Actions job, as identified by
+ * environment variables.
+ * @param {string} actionsJob.runId ID of the workflow run, from
+ * $GITHUB_RUN_ID.
+ * @param {string=} actionsJob.runAttempt Attempt number of the workflow run,
+ * from $GITHUB_RUN_ATTEMPT.
+ * @param {string} actionsJob.runnerName Name of the runner running the job,
+ * from $RUNNER_NAME.
+ * @param {!FetchJobCheckRunIdOptions=} options Options.
+ * @returns {!Promise<number|undefined>} Promise for the ID of the check run
+ * for the in-progress job of the workflow run which is running on
+ * actionsJob.runnerName, or undefined if there is no such job.
+ */
+module.exports =
+async function fetchJobCheckRunId(apiArgs, actionsJob, options = {}) {
+  const { runAttempt, runId, runnerName } = actionsJob;
+  const { octokitOptions, signal } = options;
+  const octokit = options.octokit || new Octokit({
+    userAgent: `${packageJson.name}/${packageJson.version}`,
+    ...octokitOptions,
+  });
+
+  const listArgs = {
+    owner: apiArgs.owner,
+    repo: apiArgs.repo,
+    run_id: runId, // eslint-disable-line camelcase
+    per_page: jobsPerPage, // eslint-disable-line camelcase
+  };
+  if (signal) {
+    listArgs.request = { signal };
+  }
+  let listJobs;
+  if (runAttempt !== undefined) {
+    listJobs = octokit.actions.listJobsForWorkflowRunAttempt;
+    listArgs.attempt_number = runAttempt; // eslint-disable-line camelcase
+  } else {
+    listJobs = octokit.actions.listJobsForWorkflowRun;
+    listArgs.filter = 'latest';
+  }
+
+  try {
+    /* eslint-disable no-await-in-loop */
+    for (let page = 1; ; page += 1) {
+      const { data } = await listJobs(page === 1 ? listArgs
+        : { ...listArgs, page });
+      const job = data.jobs.find((runJob) => runJob.status === 'in_progress'
+        && runJob.runner_name === runnerName);
+      if (job) {
+        return getCheckRunId(job);
+      }
+
+      if (data.jobs.length === 0 || page * jobsPerPage >= data.total_count) {
+        return undefined;
+      }
+    }
+    /* eslint-enable no-await-in-loop */
+  } catch (err) {
+    throw AbortError.fromSignal(err, signal);
+  }
+};
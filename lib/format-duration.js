@@ -0,0 +1,30 @@
+/**
+ * @copyright Copyright 2021 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+/** Formats the duration between two ISO 8601 date-time strings.
+ *
+ * @private
+ * @param {?string=} start Start date-time.
+ * @param {?string=} end End date-time.
+ * @returns {string} Duration in hours, minutes, and seconds (e.g. "1m 5s"),
+ * or empty string if either date-time is missing or invalid.
+ */
+module.exports =
+function formatDuration(start, end) {
+  const durationMs = Date.parse(end) - Date.parse(start);
+  if (!(durationMs >= 0)) {
+    return '';
+  }
+
+  const totalSeconds = Math.floor(durationMs / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor(totalSeconds / 60) % 60;
+  const seconds = totalSeconds % 60;
+  return hours > 0 ? `${hours}h ${minutes}m`
+    : minutes > 0 ? `${minutes}m ${seconds}s`
+      : `${seconds}s`;
+};
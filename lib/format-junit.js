@@ -0,0 +1,115 @@
+/**
+ * @copyright Copyright 2021 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const getUnreportedStatuses = require('./get-unreported-statuses.js');
+const { stateToExitCode } = require('../status.js');
+
+// Replacements for characters in XML attribute values and character data.
+// Note: Whitespace characters are replaced to avoid attribute normalization.
+const xmlEntities = {
+  '\t': '&#9;',
+  '\n': '&#10;',
+  '\r': '&#13;',
+  '"': '&quot;',
+  '&': '&amp;',
+  "'": '&apos;',
+  '<': '&lt;',
+  '>': '&gt;',
+};
+
+/** Escapes a string for use in XML character data or attribute values.
+ *
+ * @private
+ * @param {string} str String to escape.
+ * @returns {string} str with characters which are special in XML replaced by
+ * character references and characters which are not allowed removed.
+ */
+function escapeXml(str) {
+  return String(str)
+    // eslint-disable-next-line no-control-regex
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+    .replace(/[\t\n\r"&'<>]/g, (c) => xmlEntities[c]);
+}
+
+/** Formats statuses and check runs as a JUnit XML report.
+ *
+ * Each status and check run is reported as a testcase, as is each check being
+ * waited for which has not been reported.  Statuses which cause a
+ * non-zero exit code are reported as failures, pending statuses are reported
+ * as skipped.
+ *
+ * @private
+ * @param {!module:hub-ci-status.CiStatus} ciStatus CI status to format.
+ * @returns {string} JUnit XML document.
+ */
+module.exports =
+function formatJUnit(ciStatus) {
+  const {
+    owner,
+    repo,
+    sha,
+    statuses,
+    commitStatuses,
+    checkRuns,
+  } = ciStatus;
+  // Use state from statuses, where stuck statuses and check runs have failed
+  const testcases = [
+    ...statuses.slice(0, commitStatuses.length).map((status) => ({
+      ...status,
+      details: status.description,
+    })),
+    ...checkRuns.map((checkRun, i) => ({
+      ...statuses[commitStatuses.length + i],
+      details: checkRun.output && checkRun.output.summary,
+    })),
+    ...getUnreportedStatuses(ciStatus),
+  ];
+
+  let failureCount = 0;
+  let skippedCount = 0;
+  const testcaseXmls = testcases.map(({
+    context,
+    details,
+    state,
+    target_url: targetUrl,
+  }) => {
+    const nameAttrs = `classname="${escapeXml(`${owner}/${repo}`)}"`
+      + ` name="${escapeXml(context)}"`;
+    const message = targetUrl ? `${state}: ${targetUrl}` : state;
+    switch (stateToExitCode(state)) {
+      case 0:
+        return `    <testcase ${nameAttrs}/>\n`;
+
+      case 2:
+        skippedCount += 1;
+        return `    <testcase ${nameAttrs}>\n`
+          + `      <skipped message="${escapeXml(message)}"/>\n`
+          + '    </testcase>\n';
+
+      default: {
+        failureCount += 1;
+        const text = [targetUrl, details].filter(Boolean).join('\n');
+        return `    <testcase ${nameAttrs}>\n`
+          + `      <failure message="${escapeXml(message)}"`
+          + ` type="${escapeXml(state)}">${escapeXml(text)}</failure>\n`
+          + '    </testcase>\n';
+      }
+    }
+  });
+
+  const countAttrs = `tests="${testcases.length}" failures="${failureCount}"`
+    + ` errors="0" skipped="${skippedCount}"`;
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites name="hub-ci-status" ${countAttrs}>
+  <testsuite name="${escapeXml(`${owner}/${repo}`)}" ${countAttrs}>
+    <properties>
+      <property name="sha" value="${escapeXml(sha)}"/>
+    </properties>
+${testcaseXmls.join('')}  </testsuite>
+</testsuites>
+`;
+};
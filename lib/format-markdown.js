@@ -0,0 +1,113 @@
+/**
+ * @copyright Copyright 2021 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const formatDuration = require('./format-duration.js');
+const getUnreportedStatuses = require('./get-unreported-statuses.js');
+const { getStateCategory } = require('../status.js');
+
+// Emoji for each state category, with the same meaning as the markers and
+// colors of getStateMarker.
+const categoryEmojis = {
+  success: '✅',
+  failure: '❌',
+  neutral: '⚪',
+  pending: '🟡',
+};
+
+/** Gets the emoji shown for a state in Markdown output.
+ *
+ * @private
+ * @param {string} state State of a status (e.g. "success", "pending").
+ * @returns {string} Emoji for state.
+ */
+function getStateEmoji(state) {
+  const category = getStateCategory(state);
+  return category === undefined ? '❔' : categoryEmojis[category];
+}
+
+/** Escapes a string for use as inline text in a Markdown table cell.
+ *
+ * @private
+ * @param {string} str String to escape.
+ * @returns {string} str with Markdown special characters escaped and line
+ * breaks replaced by spaces.
+ */
+function escapeMarkdown(str) {
+  return String(str)
+    .replace(/[*<>[\\\]_`|]/g, '\\$&')
+    .replace(/\r\n?|\n/g, ' ');
+}
+
+/** Formats statuses and check runs as a Markdown table, suitable for pull
+ * request comments or GitHub Actions job summaries.
+ *
+ * Checks being waited for which have not been reported are pending rows.
+ *
+ * @private
+ * @param {!module:hub-ci-status.CiStatus} ciStatus CI status to format.
+ * @returns {string} Markdown document.
+ */
+module.exports =
+function formatMarkdown(ciStatus) {
+  const {
+    owner,
+    repo,
+    sha,
+    state,
+    statuses,
+    commitStatuses,
+    checkRuns,
+  } = ciStatus;
+  const heading = `### CI status of ${escapeMarkdown(owner)}/`
+    + `${escapeMarkdown(repo)}@${sha.slice(0, 7)}: `
+    + `${getStateEmoji(state)} ${state || 'no status'}\n`;
+
+  const rows = [
+    // Note: Statuses do not record when the build started, so no duration.
+    ...statuses.slice(0, commitStatuses.length).map((status) => ({
+      ...status,
+      duration: '',
+    })),
+    ...checkRuns.map((checkRun, i) => ({
+      ...statuses[commitStatuses.length + i],
+      description: checkRun.output && checkRun.output.title,
+      duration: checkRun.status !== 'completed' ? ''
+        : formatDuration(checkRun.started_at, checkRun.completed_at),
+    })),
+    ...getUnreportedStatuses(ciStatus).map((status) => ({
+      ...status,
+      duration: '',
+    })),
+  ];
+  if (rows.length === 0) {
+    return heading;
+  }
+
+  const rowLines = rows.map(({
+    context,
+    description,
+    duration,
+    state: rowState,
+    target_url: targetUrl,
+  }) => {
+    // Percent-encode characters which would end the link destination or cell
+    const linkUrl = targetUrl && targetUrl.replace(
+      /[\s()<>|]/g,
+      (c) => `%${c.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`,
+    );
+    const contextCell = linkUrl ? `[${escapeMarkdown(context)}](${linkUrl})`
+      : escapeMarkdown(context);
+    const descriptionCell = description ? escapeMarkdown(description) : '';
+    return `| ${getStateEmoji(rowState)} | ${contextCell}`
+      + ` | ${descriptionCell} | ${duration} |\n`;
+  });
+
+  return `${heading}
+| State | Context | Description | Duration |
+| :---: | ------- | ----------- | -------: |
+${rowLines.join('')}`;
+};
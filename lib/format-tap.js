@@ -0,0 +1,103 @@
+/**
+ * @copyright Copyright 2021 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const getUnreportedStatuses = require('./get-unreported-statuses.js');
+const { stateToExitCode } = require('../status.js');
+
+/** Escapes a string for use as a TAP test description or directive.
+ *
+ * @private
+ * @param {string} str String to escape.
+ * @returns {string} str with backslash and hash escaped and line breaks
+ * replaced by spaces.
+ */
+function escapeTap(str) {
+  return String(str)
+    .replace(/[#\\]/g, '\\$&')
+    .replace(/\r\n?|\n/g, ' ');
+}
+
+/** Formats an object as indented YAML diagnostics for a TAP test line.
+ *
+ * @private
+ * @param {!object<string,*>} diagnostics Diagnostic values.  Values which
+ * are null, undefined, or empty are omitted.
+ * @returns {string} YAML block for diagnostics, or empty string if there are
+ * no values.
+ */
+function formatTapDiagnostics(diagnostics) {
+  const yamlLines = Object.entries(diagnostics)
+    .filter(([, value]) => value !== undefined
+      && value !== null
+      && value !== '')
+    // JSON strings are valid YAML double-quoted scalars
+    .map(([key, value]) => `  ${key}: ${JSON.stringify(value)}\n`);
+  return yamlLines.length === 0 ? ''
+    : `  ---\n${yamlLines.join('')}  ...\n`;
+}
+
+/** Formats statuses and check runs as a TAP version 13 stream.
+ *
+ * Each status and check run is reported as a test point, as is each check
+ * being waited for which has not been reported.  Statuses which cause a
+ * non-zero exit code are "not ok", pending statuses are "not ok" with a TODO
+ * directive.  Details are included as YAML diagnostics.
+ *
+ * https://testanything.org/tap-version-13-specification.html
+ *
+ * @private
+ * @param {!module:hub-ci-status.CiStatus} ciStatus CI status to format.
+ * @returns {string} TAP document.
+ */
+module.exports =
+function formatTap(ciStatus) {
+  const { statuses, commitStatuses, checkRuns } = ciStatus;
+  const testPoints = [
+    ...statuses.slice(0, commitStatuses.length).map((status) => ({
+      status,
+      diagnostics: {
+        state: status.state,
+        url: status.target_url,
+        description: status.description,
+      },
+    })),
+    ...checkRuns.map((checkRun, i) => ({
+      status: statuses[commitStatuses.length + i],
+      diagnostics: {
+        status: checkRun.status,
+        conclusion: checkRun.conclusion,
+        url: checkRun.html_url,
+        summary: checkRun.output && checkRun.output.summary,
+      },
+    })),
+    ...getUnreportedStatuses(ciStatus).map((status) => ({
+      status,
+      diagnostics: { state: status.state },
+    })),
+  ];
+
+  const testLines = testPoints.map(({ status, diagnostics }, i) => {
+    const description = `${i + 1} - ${escapeTap(status.context)}`;
+    let testLine;
+    switch (stateToExitCode(status.state)) {
+      case 0:
+        testLine = `ok ${description}`;
+        break;
+
+      case 2:
+        testLine = `not ok ${description} # TODO ${escapeTap(status.state)}`;
+        break;
+
+      default:
+        testLine = `not ok ${description}`;
+        break;
+    }
+    return `${testLine}\n${formatTapDiagnostics(diagnostics)}`;
+  });
+
+  return `TAP version 13\n1..${testPoints.length}\n${testLines.join('')}`;
+};
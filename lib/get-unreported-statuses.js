@@ -0,0 +1,31 @@
+/**
+ * @copyright Copyright 2021 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+/** Gets pending statuses for the checks being waited for which have not been
+ * reported: required or expected checks and any statuses or check runs
+ * needed to reach minChecks.
+ *
+ * @private
+ * @param {!module:hub-ci-status.CiStatus} ciStatus CI status.
+ * @returns {!Array<!object>} "statuses" objects with state pending.
+ */
+module.exports =
+function getUnreportedStatuses({
+  statuses,
+  commitStatuses,
+  checkRuns,
+  missingCount,
+}) {
+  const unreported = statuses.slice(commitStatuses.length + checkRuns.length);
+  if (missingCount > 0) {
+    unreported.push({
+      state: 'pending',
+      context: `${missingCount} more statuses or checks`,
+    });
+  }
+  return unreported;
+};
@@ -162,6 +162,40 @@ exports.parseGitUrl = function parseGitUrl(gitUrl) {
   return gitUrlObj;
 };
 
+/** Resolve a named commit to the name of the branch it refers to.
+ *
+ * @param {string} commitName Name of commit to resolve (e.g. "HEAD" or
+ * "origin/main").
+ * @param {module:child_process.ExecFileOptions=} options Options to pass to
+ * {@link child_process.execFile}.
+ * @returns {!Promise<string>} Name of the local or remote-tracking branch
+ * (without remote name) to which <code>commitName</code> refers, or Error
+ * if <code>commitName</code> does not refer to a branch.
+ * @private
+ */
+exports.resolveBranch = async function resolveBranch(commitName, options) {
+  let refName;
+  try {
+    refName = await execFileOut(
+      'git',
+      ['rev-parse', '--symbolic-full-name', commitName],
+      options,
+    );
+  } catch (err) {
+    err.message =
+      `Unable to resolve '${commitName}' to a branch: ${err.message}`;
+    throw err;
+  }
+
+  const match = /^refs\/(?:heads\/|remotes\/[^/]+\/)(.+)$/.exec(trim(refName));
+  if (!match) {
+    throw new Error(`Unable to resolve '${commitName}' to a branch: `
+      + 'Not a branch name.');
+  }
+
+  return match[1];
+};
+
 /** Resolve a named commit to its hash.
  *
  * @param {string} commitName Name of commit to resolve.
@@ -0,0 +1,50 @@
+/**
+ * @copyright Copyright 2021 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+function escapeRegExp(str) {
+  return str.replace(/[$()*+.?[\\\]^{|}/-]/g, '\\$&');
+}
+
+/** Converts a glob pattern to a RegExp which matches the whole string.
+ *
+ * Supported syntax is <code>*</code> (any sequence of characters, including
+ * <code>/</code>, since status contexts are not paths), <code>?</code> (any
+ * single character), <code>[...]</code> (any character in the set, negated
+ * by a leading <code>!</code> or <code>^</code>), and <code>\</code> (escape
+ * the following character).  An unterminated <code>[</code> matches itself.
+ *
+ * @private
+ * @param {string} glob Glob pattern.
+ * @returns {!RegExp} RegExp which matches strings matched by glob.
+ */
+module.exports =
+function globToRegExp(glob) {
+  const pattern = glob.replace(
+    /\\(.?)|\*|\?|\[([!^]?)(\]?[^\]]*)\]|[^*?[\\]+|\[/gs,
+    (match, escaped, negation, set) => {
+      if (escaped !== undefined) {
+        return escapeRegExp(escaped || '\\');
+      }
+
+      if (match === '*') {
+        return '.*';
+      }
+
+      if (match === '?') {
+        return '.';
+      }
+
+      if (set !== undefined) {
+        const setPattern = set.replace(/[\\\]^]/g, '\\$&');
+        return `[${negation ? '^' : ''}${setPattern}]`;
+      }
+
+      return escapeRegExp(match);
+    },
+  );
+  return new RegExp(`^${pattern}$`, 's');
+};
@@ -5,20 +5,21 @@
 
 'use strict';
 
-const timers = require('timers');
-const { promisify } = require('util');
-
+const AbortError = require('./abort-error.js');
 const constant = require('./retry-async/constant.js');
 const exponential = require('./retry-async/exponential.js');
-
-// TODO [engine:node@>=15]: import { setTimeout } from 'timers/promises';
-const setTimeoutP = promisify(timers.setTimeout);
+const { setTimeout: setTimeoutP } = require('./timers-promises.js');
 
 function defaultShouldRetry(result) {
   // Retry if the value was falsey
   return !result;
 }
 
+function defaultShouldRetryError() {
+  // Do not retry on rejection
+  return false;
+}
+
 /** Options for {@link retryAsync}.
  *
  * @private
@@ -26,6 +27,13 @@ function defaultShouldRetry(result) {
  * @typedef {module:timers.SetTimeoutOptions} RetryAsyncOptions
  * @property {(function(): number)=} now Function to get the current time in
  * milliseconds since the epoch.
+ * @property {(function(TReturn): (number|undefined))=} getMinDelayMs
+ * Function which returns the minimum amount of time, in milliseconds, to wait
+ * before the next attempt based on the return value of the previous attempt
+ * (e.g. a server-suggested poll interval), or undefined to wait the time from
+ * waitMs.
+ * @property {number=} maxErrorRetries Maximum number of consecutive times
+ * the operation is retried after rejections accepted by shouldRetryError.
  * @property {number=} maxTotalMs Maximum amount of time, in milliseconds,
  * during which retries are attempted.  Duration of last wait may be reduced to
  * avoid exceeding maxTotalMs.  Once maxTotalMs has elapsed, the value from
@@ -35,9 +43,17 @@ function defaultShouldRetry(result) {
  * exceeded, the value of the last attempt is returned immediately.
  * @property {module:timers/promise.setTimeout=} setTimeout Function to
  * perform waits between retries.
+ * @property {module:globals.AbortSignal=} signal Signal which stops retrying
+ * when aborted.  The returned Promise is rejected with an AbortError once the
+ * current attempt or wait (if setTimeout supports signal) completes.
  * @property {(function(TReturn): boolean)=} shouldRetry Predicate which
  * determines whether to retry the operation based on the return value of the
  * previous attempt.
+ * @property {(function(*): boolean)=} shouldRetryError Predicate which
+ * determines whether to retry the operation based on the rejection reason (or
+ * exception) of the previous attempt.  The wait before retrying is the same
+ * as after a resolved attempt.  If the operation is not retried, the returned
+ * Promise is rejected with the reason.
  * @property {(number|module:globals.Iterable<number>)=} waitMs Number of
  * milliseconds to wait between attempts.
  */
@@ -49,18 +65,21 @@ function defaultShouldRetry(result) {
  * @type {RetryAsyncOptions}
  */
 const DEFAULT_OPTIONS = Object.freeze({
+  maxErrorRetries: 3,
   maxTotalMs: Infinity,
   minWaitMs: 4000,
   now: Date.now,
   setTimeout: setTimeoutP,
   shouldRetry: defaultShouldRetry,
+  shouldRetryError: defaultShouldRetryError,
   get waitMs() {
     return exponential(2, 4000, 60000, Infinity);
   },
 });
 
 /** Repeatedly invoke a function with given arguments on an exponential
- * delay until the Promise it returns resolves to true.
+ * delay until the Promise it returns resolves to true (or rejects with a
+ * reason which should not be retried, or options.signal is aborted).
  *
  * @template TReturn
  * @param {function(...): !Promise<TReturn>} operation Function to retry.
@@ -73,11 +92,14 @@ module.exports =
 async function retryAsync(
   operation,
   {
+    getMinDelayMs,
+    maxErrorRetries = DEFAULT_OPTIONS.maxErrorRetries,
     maxTotalMs = DEFAULT_OPTIONS.maxTotalMs,
     minWaitMs = DEFAULT_OPTIONS.minWaitMs,
     now = DEFAULT_OPTIONS.now,
     setTimeout: retrySetTimeout = DEFAULT_OPTIONS.setTimeout,
     shouldRetry = DEFAULT_OPTIONS.shouldRetry,
+    shouldRetryError = DEFAULT_OPTIONS.shouldRetryError,
     waitMs = DEFAULT_OPTIONS.waitMs,
     ...setTimeoutOptions
   } = {},
@@ -95,27 +117,57 @@ async function retryAsync(
     throw new TypeError('waitMs must be a number or Iterable');
   }
 
+  const { signal } = setTimeoutOptions;
+  let errorCount = 0;
   let waitResult;
   try {
     /* eslint-disable no-await-in-loop */
     for (;;) {
-      const result = await operation(...args);
-      if (!shouldRetry(result)) {
+      if (signal && signal.aborted) {
+        throw new AbortError();
+      }
+
+      let error;
+      let result;
+      let rejected = false;
+      try {
+        result = await operation(...args);
+        errorCount = 0;
+      } catch (err) {
+        if (signal && signal.aborted) {
+          throw new AbortError();
+        }
+
+        if (errorCount >= maxErrorRetries || !shouldRetryError(err)) {
+          throw err;
+        }
+
+        errorCount += 1;
+        error = err;
+        rejected = true;
+      }
+
+      if (!rejected && !shouldRetry(result)) {
         return result;
       }
 
       const remaining = deadline - now();
-      if (remaining < minWaitMs) {
-        return result;
+      if (remaining >= minWaitMs) {
+        waitResult = waitIterator.next();
       }
 
-      waitResult = waitIterator.next();
-      if (waitResult.done) {
+      if (remaining < minWaitMs || waitResult.done) {
+        if (rejected) {
+          throw error;
+        }
+
         return result;
       }
 
+      const minDelayMs =
+        !rejected && getMinDelayMs ? getMinDelayMs(result) : undefined;
       const delay = Math.min(
-        waitResult.value,
+        minDelayMs > waitResult.value ? minDelayMs : waitResult.value,
         remaining,
       );
       await retrySetTimeout(delay, undefined, setTimeoutOptions);
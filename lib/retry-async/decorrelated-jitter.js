@@ -0,0 +1,66 @@
+/**
+ * @copyright Copyright 2021 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+function* generateDecorrelatedJitter(factor, initial, maxValue, count, random) {
+  let value = initial;
+  for (let i = 0; i < count; i += 1) {
+    value = Math.min(initial + random() * (value * factor - initial), maxValue);
+    yield value;
+  }
+}
+
+/** Generates a random value between an initial value and a multiple of the
+ * previous value, with optional count/limit ("Decorrelated Jitter" from
+ * https://aws.amazon.com/blogs/architecture/exponential-backoff-and-jitter/).
+ *
+ * @private
+ * @param {number} factor Multiple of the previous value (or initial, for the
+ * first value) which is the upper bound of each yielded value.
+ * @param {number=} initial Lower bound of each yielded value.  (Default: 1)
+ * @param {number=} maxValue Maximum value to yield.  (Default: Infinity)
+ * @param {number=} count Number of values to yield.  (Default: Infinity)
+ * @param {function(): number=} random Function which returns a random number
+ * between 0 (inclusive) and 1 (exclusive).  (Default: Math.random)
+ * @yields {number} Random values between initial and factor times the
+ * previous value, limited to maxValue.
+ * @throws {TypeError} If factor, initial, maxValue, or count is not a number
+ * or random is not a function.
+ * @throws {RangeError} If maxValue or count is NaN, count is negative, or
+ * count is not an integer (or Infinity).
+ */
+module.exports =
+function decorrelatedJitter(
+  factor,
+  initial = 1,
+  maxValue = Infinity,
+  count = Infinity,
+  random = Math.random,
+) {
+  if (typeof factor !== 'number') {
+    throw new TypeError('factor must be a number');
+  }
+  if (typeof initial !== 'number') {
+    throw new TypeError('initial must be a number');
+  }
+  if (typeof maxValue !== 'number') {
+    throw new TypeError('maxValue must be a number');
+  }
+  if (Number.isNaN(maxValue)) {
+    throw new RangeError('maxValue must not be NaN');
+  }
+  if (typeof count !== 'number') {
+    throw new TypeError('count must be a number');
+  }
+  if (count < 0 || count !== Math.floor(count)) {
+    throw new RangeError('count must be a non-negative integer, or Infinity');
+  }
+  if (typeof random !== 'function') {
+    throw new TypeError('random must be a function');
+  }
+
+  return generateDecorrelatedJitter(factor, initial, maxValue, count, random);
+};
@@ -0,0 +1,202 @@
+/**
+ * @copyright Copyright 2021 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const { getLatestCheckRuns } = require('../status.js');
+const globToRegExp = require('./glob-to-regexp.js');
+
+/** Required status check from branch protection.
+ *
+ * @private
+ * @typedef {!object} RequiredCheck
+ * @property {string} context Name of the status context or check run.
+ * @property {number=} appId ID of the GitHub App which must provide the check
+ * run, if any.
+ */
+
+/** GitHub Actions job, as identified by environment variables.
+ *
+ * https://docs.github.com/actions/learn-github-actions/environment-variables#default-environment-variables
+ *
+ * @private
+ * @typedef {!object} ActionsJob
+ * @property {string} job Job ID (key in the jobs mapping of the workflow),
+ * from $GITHUB_JOB.
+ * @property {string} runId ID of the workflow run, from $GITHUB_RUN_ID.
+ * @property {string=} repository Owner and name of the repository of the
+ * workflow run, from $GITHUB_REPOSITORY (e.g. "octocat/Hello-World").
+ * @property {string=} runAttempt Attempt number of the workflow run, from
+ * $GITHUB_RUN_ATTEMPT.
+ * @property {string=} runnerName Name of the runner running the job, from
+ * $RUNNER_NAME.
+ * @property {number=} checkRunId ID of the check run for the job, if known.
+ * If set, only this check run is for the job.  Otherwise, check runs are
+ * matched by job and runId, which does not match jobs with a custom name.
+ */
+
+/** Options for {@link selectStatuses}.
+ *
+ * @private
+ * @typedef {!object} SelectStatusesOptions
+ * @property {(function(string): boolean)=} contextFilter Function which
+ * returns true for status contexts and check run names to consider.
+ * @property {!ActionsJob=} excludeJob GitHub Actions job for which check
+ * runs are not considered (e.g. the job which is checking the status).
+ * @property {Array<string>=} expect Glob patterns of status contexts and
+ * check run names which are expected.  Patterns which do not match any
+ * selected status or check run are missing.
+ * @property {number=} minChecks Minimum number of statuses and check runs
+ * which are expected.
+ * @property {number=} now Current time, in milliseconds since the epoch, for
+ * stuckAfterMs. (default: Date.now())
+ * @property {Array<!RequiredCheck>=} requiredChecks Required status checks.
+ * If set, only statuses and check runs which satisfy a required check are
+ * considered.
+ * @property {number=} stuckAfterMs Amount of time, in milliseconds, after
+ * which a pending status or check run is stuck.
+ */
+
+/** Statuses and check runs selected by {@link selectStatuses}.
+ *
+ * @private
+ * @typedef {!object} SelectedStatuses
+ * @property {!Array<!object>} statuses Selected "statuses" objects.
+ * @property {!Array<!object>} checkRuns Selected "check_runs" objects.
+ * @property {!Array<string>} missingContexts Contexts of required checks
+ * and expected patterns for which there is no status or check run.
+ * @property {number} missingCount Number of additional statuses and check
+ * runs needed to reach minChecks.
+ * @property {!Array<!object>} stuckStatuses Selected statuses which have been
+ * pending for longer than stuckAfterMs.
+ * @property {!Array<!object>} stuckCheckRuns Selected check runs which have
+ * been pending for longer than stuckAfterMs.
+ */
+
+function isJobCheckRun(checkRun, { checkRunId, job, runId }) {
+  if (checkRunId !== undefined) {
+    return checkRun.id === checkRunId;
+  }
+
+  // Check runs for a job are named by the job name, which defaults to the job
+  // ID, followed by matrix values in parentheses, if any.
+  if (checkRun.name !== job && !checkRun.name.startsWith(`${job} (`)) {
+    return false;
+  }
+
+  // Check runs for Actions jobs link to the job in the workflow run
+  const runPath = `/actions/runs/${runId}/`;
+  return [checkRun.html_url, checkRun.details_url]
+    .some((url) => typeof url === 'string' && url.includes(runPath));
+}
+
+/** Gets the time at which a status or check run became pending.
+ *
+ * @private
+ * @param {!object} statusOrCheckRun "statuses" object from the CI Status API
+ * or "check_runs" object from the Checks API.
+ * @returns {number} Time in milliseconds since the epoch when
+ * statusOrCheckRun was started (or created, if not started), or NaN if
+ * unknown.
+ */
+function getPendingSince(statusOrCheckRun) {
+  return Date.parse(
+    statusOrCheckRun.started_at || statusOrCheckRun.created_at,
+  );
+}
+
+function satisfiesCheck(checkRun, { appId, context }) {
+  return checkRun.name === context
+    && (appId === undefined || (checkRun.app && checkRun.app.id === appId));
+}
+
+/** Selects the statuses and check runs which determine the combined state.
+ *
+ * Check runs superseded by a later attempt are never selected.
+ *
+ * @private
+ * @param {!Array<!object>} statuses "statuses" objects from CI Status API.
+ * @param {!Array<!object>} checkRuns "check_runs" objects from Checks API.
+ * @param {!SelectStatusesOptions=} options Options.
+ * @returns {!SelectedStatuses} Selected statuses and check runs.
+ */
+module.exports =
+function selectStatuses(statuses, checkRuns, options = {}) {
+  const {
+    contextFilter,
+    excludeJob,
+    expect,
+    minChecks,
+    now = Date.now(),
+    requiredChecks,
+    stuckAfterMs,
+  } = options;
+
+  checkRuns = getLatestCheckRuns(checkRuns);
+  let missingContexts = [];
+  if (requiredChecks) {
+    const requiredContexts =
+      new Set(requiredChecks.map((requiredCheck) => requiredCheck.context));
+    statuses =
+      statuses.filter((status) => requiredContexts.has(status.context));
+    checkRuns = checkRuns.filter((checkRun) => requiredChecks.some(
+      (requiredCheck) => satisfiesCheck(checkRun, requiredCheck),
+    ));
+    const isReported = (requiredCheck) => statuses.some(
+      (status) => status.context === requiredCheck.context,
+    ) || checkRuns.some((checkRun) => satisfiesCheck(checkRun, requiredCheck));
+    missingContexts = requiredChecks
+      .filter((requiredCheck) => !isReported(requiredCheck))
+      .map((requiredCheck) => requiredCheck.context);
+  }
+
+  if (excludeJob) {
+    checkRuns =
+      checkRuns.filter((checkRun) => !isJobCheckRun(checkRun, excludeJob));
+  }
+
+  if (contextFilter) {
+    statuses = statuses.filter((status) => contextFilter(status.context));
+    checkRuns = checkRuns.filter((checkRun) => contextFilter(checkRun.name));
+    missingContexts = missingContexts.filter(contextFilter);
+  }
+
+  if (expect) {
+    const contexts = [
+      ...statuses.map((status) => status.context),
+      ...checkRuns.map((checkRun) => checkRun.name),
+      ...missingContexts,
+    ];
+    for (const pattern of expect) {
+      const patternRe = globToRegExp(pattern);
+      if (!contexts.some((context) => patternRe.test(context))) {
+        missingContexts.push(pattern);
+      }
+    }
+  }
+
+  let stuckStatuses = [];
+  let stuckCheckRuns = [];
+  if (stuckAfterMs !== undefined) {
+    const stuckBefore = now - stuckAfterMs;
+    const isStuck =
+      (statusOrCheckRun) => getPendingSince(statusOrCheckRun) < stuckBefore;
+    stuckStatuses = statuses
+      .filter((status) => status.state === 'pending' && isStuck(status));
+    stuckCheckRuns = checkRuns
+      .filter((checkRun) => checkRun.status !== 'completed'
+        && isStuck(checkRun));
+  }
+
+  const checkCount = statuses.length + checkRuns.length;
+  return {
+    statuses,
+    checkRuns,
+    missingContexts,
+    missingCount: minChecks > checkCount ? minChecks - checkCount : 0,
+    stuckStatuses,
+    stuckCheckRuns,
+  };
+};
@@ -0,0 +1,62 @@
+/**
+ * Promise-based timer functions which accept an AbortSignal, as in
+ * timers/promises, for Node.js versions which do not provide it.
+ *
+ * @copyright Copyright 2021 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @private
+ */
+
+'use strict';
+
+const timers = require('timers');
+
+const AbortError = require('./abort-error.js');
+
+/** Options for {@link setTimeout}.
+ *
+ * @private
+ * @typedef {!object} SetTimeoutOptions
+ * @property {module:globals.AbortSignal=} signal Signal which cancels the
+ * timer when aborted.
+ */
+
+/** Returns a Promise which is resolved with a given value after a given
+ * delay, or rejected with an AbortError if options.signal is aborted first.
+ *
+ * TODO [engine:node@>=15]: import { setTimeout } from 'timers/promises';
+ *
+ * @private
+ * @template T
+ * @param {number=} delay Number of milliseconds to wait.
+ * @param {T=} value Value with which the returned Promise is resolved.
+ * @param {!SetTimeoutOptions=} options Options.
+ * @returns {!Promise<T>} Promise for value, after delay.
+ */
+exports.setTimeout =
+function setTimeoutPromise(delay, value, { signal } = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(new AbortError());
+      return;
+    }
+
+    let timeout;
+    function onAbort() {
+      timers.clearTimeout(timeout);
+      reject(new AbortError());
+    }
+
+    timeout = timers.setTimeout(() => {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+
+      resolve(value);
+    }, delay);
+
+    if (signal) {
+      signal.addEventListener('abort', onAbort);
+    }
+  });
+};
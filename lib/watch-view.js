@@ -0,0 +1,146 @@
+/**
+ * @copyright Copyright 2021 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const readline = require('readline');
+
+const { formatStatuses } = require('../status.js');
+const formatDuration = require('./format-duration.js');
+
+// SGR escape sequences (e.g. for color) and variation selectors (e.g. in
+// state markers), which do not occupy any columns on a terminal.
+// eslint-disable-next-line no-control-regex
+const zeroWidthRegExp = /\u001B\[[\d;]*m|[\uFE0E\uFE0F]/g;
+
+/** Gets the number of terminal rows occupied by a line of text.
+ *
+ * @private
+ * @param {string} line Line of text (without newline).
+ * @param {number=} columns Number of columns of the terminal, if known.
+ * @returns {number} Number of rows occupied by line, with tabs expanded to
+ * 8-column tab stops and long lines wrapped at columns.
+ */
+function getRowCount(line, columns) {
+  let width = 0;
+  for (const char of line.replace(zeroWidthRegExp, '')) {
+    width = char === '\t' ? width + 8 - (width % 8) : width + 1;
+  }
+
+  return columns > 0 ? Math.max(1, Math.ceil(width / columns)) : 1;
+}
+
+/** Options for {@link WatchView}.
+ *
+ * @private
+ * @typedef {!object} WatchViewOptions
+ * @property {(function(): number)=} now Function to get the current time in
+ * milliseconds since the epoch, for elapsed time of check runs.
+ * @property {boolean=} useColor Should ANSI escape codes for color be used
+ * to colorize state markers?
+ */
+
+/** Table of statuses and check runs, with elapsed time of each check run and
+ * a countdown to the next poll, which is redrawn in place on a terminal while
+ * waiting.
+ *
+ * @private
+ */
+module.exports =
+class WatchView {
+  /** Constructs a WatchView which writes to a given terminal.
+   *
+   * @param {!module:tty.WriteStream} stream Terminal to which the view is
+   * written.
+   * @param {!WatchViewOptions=} options Options.
+   */
+  constructor(stream, { now = Date.now, useColor } = {}) {
+    this.ciStatus = undefined;
+    this.now = now;
+    this.rowCount = 0;
+    this.stream = stream;
+    this.useColor = useColor;
+  }
+
+  /** Erases the view from the terminal, leaving the cursor where the view
+   * started.
+   */
+  clear() {
+    if (this.rowCount > 0) {
+      readline.moveCursor(this.stream, 0, -this.rowCount);
+      readline.clearScreenDown(this.stream);
+      this.rowCount = 0;
+    }
+  }
+
+  /** Redraws the view with the current statuses and a given status line.
+   *
+   * @param {string} statusLine Line printed after the statuses.
+   */
+  render(statusLine) {
+    const lines = [];
+    if (this.ciStatus) {
+      const { checkRuns, commitStatuses, statuses } = this.ciStatus;
+      const nowIso = new Date(this.now()).toISOString();
+      const rows = statuses.map((status, i) => {
+        const checkRun = i < commitStatuses.length ? undefined
+          : checkRuns[i - commitStatuses.length];
+        // Print elapsed time of check runs in place of target_url.
+        // Note: Statuses do not record when the build started.
+        return {
+          ...status,
+          // eslint-disable-next-line camelcase
+          target_url: checkRun && formatDuration(
+            checkRun.started_at,
+            checkRun.completed_at || nowIso,
+          ),
+        };
+      });
+      lines.push(formatStatuses(rows, this.useColor) || 'no status');
+    }
+    lines.push(statusLine);
+
+    const text = lines.join('\n');
+    this.clear();
+    this.stream.write(`${text}\n`);
+    this.rowCount = text.split('\n').reduce(
+      (count, line) => count + getRowCount(line, this.stream.columns),
+      0,
+    );
+  }
+
+  /** Sets the CI status shown by the view.
+   *
+   * The view is redrawn by the next call to {@link WatchView#render} or
+   * {@link WatchView#wait}.
+   *
+   * @param {!module:hub-ci-status.CiStatus} ciStatus CI status to show.
+   */
+  update(ciStatus) {
+    this.ciStatus = ciStatus;
+  }
+
+  /** Waits for a given amount of time while redrawing the view with a
+   * countdown to the next poll each second.
+   *
+   * @param {number} delayMs Number of milliseconds to wait.
+   * @param {function(number): !Promise} sleep Function which returns a
+   * Promise resolved after a given number of milliseconds.
+   * @returns {!Promise} Promise resolved after delayMs.
+   */
+  async wait(delayMs, sleep) {
+    /* eslint-disable no-await-in-loop */
+    for (let remainingMs = delayMs; remainingMs > 0;) {
+      this.render(`Next poll in ${Math.ceil(remainingMs / 1000)}s...`);
+      // Wait until the number of seconds remaining changes
+      const tickMs = remainingMs % 1000 || 1000;
+      await sleep(tickMs);
+      remainingMs -= tickMs;
+    }
+    /* eslint-enable no-await-in-loop */
+
+    this.render('Polling...');
+  }
+};
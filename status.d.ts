@@ -0,0 +1,50 @@
+/**
+ * TypeScript declarations for hub-ci-status/status.
+ *
+ * @copyright Copyright 2021 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+/** "statuses" object from the CI Status API (or converted check run). */
+export interface Status {
+  state: string;
+  context: string;
+  target_url?: string | null;
+  [key: string]: unknown;
+}
+
+/** "check_runs" object from the Checks API. */
+export interface CheckRun {
+  status: string;
+  conclusion?: string | null;
+  name: string;
+  html_url?: string | null;
+  [key: string]: unknown;
+}
+
+/** Gets the marker printed before a status in verbose output. */
+export function getStateMarker(state: string, useColor?: boolean): string;
+
+/** Formats statuses as lines of a table, as printed by hub ci-status -v. */
+export function formatStatuses(
+  statuses: ReadonlyArray<Status>,
+  useColor?: boolean,
+): string;
+
+/** Gets the state with the highest severity, or '' if there is none. */
+export function getState(statuses: ReadonlyArray<{ state: string }>): string;
+
+/** Gets the exit code of hub ci-status for a combined state. */
+export function stateToExitCode(state: string): 0 | 1 | 2 | 3;
+
+/** Converts a check run from the Checks API to a CI Status API status. */
+export function checkRunToStatus(checkRun: CheckRun): {
+  state: string;
+  context: string;
+  target_url: string | null | undefined;
+};
+
+/** Gets the check runs which have not been superseded by a later attempt. */
+export function getLatestCheckRuns<T extends CheckRun>(
+  checkRuns: ReadonlyArray<T>,
+): T[];
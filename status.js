@@ -0,0 +1,248 @@
+/**
+ * Functions for determining and formatting the combined state of CI statuses
+ * and checks, using the same rules as `hub ci-status`.
+ *
+ * @copyright Copyright 2016-2021 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @module hub-ci-status/status
+ */
+
+'use strict';
+
+// Use same "severity" as hub(1) for determining state
+// https://github.com/github/hub/blob/v2.14.2/commands/ci_status.go#L60-L69
+// with skipped (from conditional jobs) as the least severe, and stale (check
+// runs which did not complete after 14 days) as the least severe failure.
+const stateBySeverity = [
+  'skipped',
+  'neutral',
+  'success',
+  'pending',
+  'stale',
+  'cancelled',
+  'timed_out',
+  'action_required',
+  'failure',
+  'error',
+];
+
+/** Gets the category of a state, which determines how the state is shown.
+ *
+ * @param {string} state State of a status (e.g. "success", "pending").
+ * @returns {string|undefined} "success", "failure" (for states which fail,
+ * such as "error" or "timed_out"), "neutral" (for "neutral" and "skipped"),
+ * "pending", or undefined if state is not recognized.
+ */
+exports.getStateCategory =
+function getStateCategory(state) {
+  switch (state) {
+    case 'success':
+      return 'success';
+
+    case 'action_required':
+    case 'cancelled':
+    case 'error':
+    case 'failure':
+    case 'stale':
+    case 'timed_out':
+      return 'failure';
+
+    case 'neutral':
+    case 'skipped':
+      return 'neutral';
+
+    case 'pending':
+      return 'pending';
+
+    default:
+      return undefined;
+  }
+};
+
+// Use same colors and status markers as `hub ci-status`
+// https://github.com/github/hub/blob/v2.14.2/commands/ci_status.go#L158-L171
+const categoryColors = {
+  success: 32,
+  failure: 31,
+  neutral: 30,
+  pending: 33,
+};
+const categoryMarkers = {
+  success: '✔︎',
+  failure: '✖︎',
+  neutral: '◦',
+  pending: '●',
+};
+
+/** Gets the ANSI color code (SGR parameter) for the foreground color used to
+ * show a state.
+ *
+ * @param {string} state State of a status (e.g. "success", "pending").
+ * @returns {number|undefined} Color code for state, or undefined if state is
+ * not recognized.
+ */
+exports.getStateColor =
+function getStateColor(state) {
+  const category = exports.getStateCategory(state);
+  return category === undefined ? undefined : categoryColors[category];
+};
+
+/** Gets the marker printed before a status in verbose output.
+ *
+ * @param {string} state State of a status (e.g. "success", "pending").
+ * @param {boolean=} useColor Should ANSI escape codes for color be used to
+ * colorize the marker?
+ * @returns {string} Marker for state, or empty string if state is not
+ * recognized.
+ */
+exports.getStateMarker =
+function getStateMarker(state, useColor) {
+  const category = exports.getStateCategory(state);
+  if (category === undefined) {
+    return '';
+  }
+
+  const marker = categoryMarkers[category];
+  return useColor ? `\u001B[${categoryColors[category]}m${marker}\u001B[39m`
+    : marker;
+};
+
+function formatStatus(status, contextWidth, useColor) {
+  const stateMarker = exports.getStateMarker(status.state, useColor);
+  const context = status.context.padEnd(contextWidth);
+  const targetUrl = status.target_url ? `\t${status.target_url}` : '';
+  return `${stateMarker}\t${context}${targetUrl}`;
+}
+
+/** Formats statuses as lines of a table with state marker, context, and
+ * target URL, as printed by <code>hub ci-status --verbose</code>.
+ *
+ * @param {!Array<!object>} statuses "statuses" objects from the CI Status
+ * API (or converted by {@link checkRunToStatus}).
+ * @param {boolean=} useColor Should ANSI escape codes for color be used to
+ * colorize state markers?
+ * @returns {string} Formatted statuses, separated by newlines (without a
+ * trailing newline).
+ */
+exports.formatStatuses =
+function formatStatuses(statuses, useColor) {
+  // If no status has a target_url, there's no need to size context
+  const contextWidth = !statuses.some((status) => status.target_url) ? 0
+    : statuses.reduce(
+      (max, { context }) => Math.max(max, context.length),
+      0,
+    );
+  return statuses
+    .map((status) => formatStatus(status, contextWidth, useColor))
+    .join('\n');
+};
+
+/** Gets the combined state of statuses: the state with the highest severity,
+ * as determined by hub(1).
+ *
+ * @param {!Array<!object>} statuses "statuses" objects from the CI Status
+ * API (or converted by {@link checkRunToStatus}).
+ * @returns {string} State of statuses with the highest severity, or empty
+ * string if statuses is empty or has no recognized states.
+ */
+exports.getState =
+function getState(statuses) {
+  const bestSeverity = statuses.reduce((maxSeverity, status) => {
+    const severity = stateBySeverity.indexOf(status.state);
+    return Math.max(severity, maxSeverity);
+  }, -1);
+  return stateBySeverity[bestSeverity] || '';
+};
+
+/** Gets the exit code of <code>hub ci-status</code> for a combined state.
+ *
+ * @param {string} state Combined state (e.g. from {@link getState}).
+ * @returns {number} 0 for success, neutral, or skipped, 1 for failure states
+ * (including stale), 2 for pending, 3 for any other (unknown or empty) state.
+ */
+exports.stateToExitCode =
+function stateToExitCode(state) {
+  // Use same exit codes as `hub ci-status`
+  // https://github.com/github/hub/blob/v2.14.2/commands/ci_status.go#L115-L125
+  switch (state) {
+    case 'neutral':
+    case 'skipped':
+    case 'success':
+      return 0;
+
+    case 'action_required':
+    case 'cancelled':
+    case 'error':
+    case 'failure':
+    case 'stale':
+    case 'timed_out':
+      return 1;
+
+    case 'pending':
+      return 2;
+
+    default:
+      return 3;
+  }
+};
+
+/** Converts a "check_run" object from the Checks API to a "statuses" object
+ * from the CI Status API.
+ *
+ * https://docs.github.com/rest/reference/checks#list-check-runs-for-a-git-reference
+ * https://docs.github.com/rest/reference/repos#get-the-combined-status-for-a-specific-reference
+ *
+ * @param {!object} checkRun "check_run" object from Checks API response.
+ * @returns {!object} "statuses" object from CI Status API response, with
+ * state, context, and target_url properties.
+ */
+exports.checkRunToStatus =
+function checkRunToStatus(checkRun) {
+  // Based on mapping done by hub(1)
+  // https://github.com/github/hub/blob/v2.14.2/github/client.go#L543-L551
+  return {
+    state: checkRun.status === 'completed' ? checkRun.conclusion : 'pending',
+    context: checkRun.name,
+    target_url: checkRun.html_url,  // eslint-disable-line camelcase
+  };
+};
+
+function isLaterAttempt(checkRun, otherRun) {
+  const startedAt = Date.parse(checkRun.started_at);
+  const otherStartedAt = Date.parse(otherRun.started_at);
+  if (startedAt !== otherStartedAt
+    && !Number.isNaN(startedAt)
+    && !Number.isNaN(otherStartedAt)) {
+    return startedAt > otherStartedAt;
+  }
+
+  return checkRun.id > otherRun.id;
+}
+
+/** Gets the check runs which have not been superseded by a later attempt
+ * (e.g. from re-running a GitHub Actions job).
+ *
+ * Check runs with the same name from the same app are attempts of the same
+ * check.  The attempt started most recently (or with the highest id, if
+ * start times are equal or unknown) is the latest.
+ *
+ * @param {!Array<!object>} checkRuns "check_runs" objects from the Checks
+ * API.
+ * @returns {!Array<!object>} checkRuns which are the latest attempt of each
+ * check, in the same order as checkRuns.
+ */
+exports.getLatestCheckRuns =
+function getLatestCheckRuns(checkRuns) {
+  const latestByKey = new Map();
+  for (const checkRun of checkRuns) {
+    const appId = checkRun.app && checkRun.app.id;
+    const key = JSON.stringify([appId, checkRun.name]);
+    const latestRun = latestByKey.get(key);
+    if (!latestRun || isLaterAttempt(checkRun, latestRun)) {
+      latestByKey.set(key, checkRun);
+    }
+  }
+
+  const latestRuns = new Set(latestByKey.values());
+  return checkRuns.filter((checkRun) => latestRuns.has(checkRun));
+};
@@ -0,0 +1,11 @@
+/**
+ * @copyright Copyright 2021 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const AbortControllerPonyfill = require('../lib/abort-controller.js');
+
+// TODO [engine:node@>=15]: Use global AbortController
+module.exports = global.AbortController || AbortControllerPonyfill;
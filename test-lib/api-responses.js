@@ -44,7 +44,8 @@ const octokitResult = {
  * @param {!Array<string>} runConclusions Value of each check_runs.conclusion.
  * ("success", "cancelled", "timed_out", "action_required", "failure", "error")
  * "queued" and "in_progress" are treated check_runs.status value with
- * check_runs.conclusion "neutral".
+ * check_runs.conclusion "neutral".  Each check run has a different id and
+ * name.
  * @returns {!object} Mock API response with given conclusion values.
  */
 exports.makeCheckRuns =
@@ -145,11 +146,14 @@ function makeCheckRuns(...runConclusions) {
     "url": `${octokitResult}/check-runs`,
     "data": {
       "total_count": runConclusions.length,
-      "check_runs": runConclusions.map((conclusionOrStatus) => {
+      "check_runs": runConclusions.map((conclusionOrStatus, i) => {
         const isStatus = conclusionOrStatus === "in_progress"
           || conclusionOrStatus === "queued";
         return {
           ...checkRun,
+          // Use a different id and name for each run, so none are superseded
+          "id": checkRun.id + i,
+          "name": i === 0 ? checkRun.name : `${checkRun.name}_${i + 1}`,
           "status": isStatus ? conclusionOrStatus : "completed",
           "conclusion": isStatus ? "neutral" : conclusionOrStatus
         };
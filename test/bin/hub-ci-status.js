@@ -7,11 +7,15 @@
 
 // TODO [engine:node@>=12.16]: require('assert');
 const assert = require('@kevinoid/assert-shim');
+const { readFile } = require('fs').promises;
+const path = require('path');
 const sinon = require('sinon');
 const stream = require('stream');
+const { dir: makeTempDir } = require('tmp-promise');
 
 const hubCiStatusCmd = require('../../bin/hub-ci-status.js');
 const packageJson = require('../../package.json');
+const AbortController = require('../../test-lib/abort-controller.js');
 
 const { match } = sinon;
 
@@ -28,6 +32,38 @@ function neverCalled() {
   assert.fail('Should never be called');
 }
 
+// Match Iterable for which the first values satisfy a predicate
+function firstValues(count, predicate, message) {
+  return match((iterable) => {
+    const values = [];
+    for (const value of iterable) {
+      values.push(value);
+      if (values.length >= count) {
+        break;
+      }
+    }
+    return predicate(values);
+  }, message);
+}
+
+function yieldsFirst(...expected) {
+  return firstValues(
+    expected.length,
+    (values) => values.every((value, i) => value === expected[i]),
+    `yields ${expected.join(', ')}`,
+  );
+}
+
+function yieldsBetween(...ranges) {
+  return firstValues(
+    ranges.length,
+    (values) => values.every(
+      (value, i) => value >= ranges[i][0] && value <= ranges[i][1],
+    ),
+    `yields ${ranges.map((range) => range.join('-')).join(', ')}`,
+  );
+}
+
 function getTestOptions() {
   return {
     env: Object.create(null),
@@ -138,6 +174,38 @@ describe('hub-ci-status command', () => {
     assert.strictEqual(gcsOptions.stdout, options.stdout);
   });
 
+  it('passes through options.signal', async () => {
+    const hubCiStatus = sinon.stub().resolves(0);
+    const { signal } = new AbortController();
+    const options = {
+      ...getTestOptions(),
+      hubCiStatus,
+      signal,
+    };
+    await hubCiStatusCmdP(RUNTIME_ARGS, options);
+    sinon.assert.callCount(hubCiStatus, 1);
+    const gcsOptions = hubCiStatus.getCall(0).args[1];
+    assert.strictEqual(gcsOptions.signal, signal);
+  });
+
+  it('exits with 130 if signal aborted before status fetched', async () => {
+    const abortController = new AbortController();
+    abortController.abort();
+    // Use hubCiStatus, which rejects with AbortError from git functions
+    const options = {
+      ...getTestOptions(),
+      hubCiStatus: undefined,
+      signal: abortController.signal,
+    };
+    const exitCode = await hubCiStatusCmdP(RUNTIME_ARGS, options);
+    assert.strictEqual(exitCode, 130);
+    assert.strictEqual(options.stdout.read(), null);
+    assert.strictEqual(
+      options.stderr.read(),
+      'Error: Interrupted before CI status was fetched\n',
+    );
+  });
+
   it('passes $GITHUB_TOKEN as options.octokitOptions.auth', async () => {
     const hubCiStatus = sinon.stub().resolves(0);
     const testToken = '123abc';
@@ -154,6 +222,79 @@ describe('hub-ci-status command', () => {
     assert.strictEqual(gcsOptions.octokitOptions.auth, testToken);
   });
 
+  it('passes current GitHub Actions job as excludeJob', async () => {
+    const hubCiStatus = sinon.stub().resolves(0);
+    const options = {
+      ...getTestOptions(),
+      env: {
+        GITHUB_ACTIONS: 'true',
+        GITHUB_JOB: 'check',
+        GITHUB_REPOSITORY: 'owner/repo',
+        GITHUB_RUN_ATTEMPT: '2',
+        GITHUB_RUN_ID: '123',
+        RUNNER_NAME: 'GitHub Actions 4',
+      },
+      hubCiStatus,
+    };
+    await hubCiStatusCmdP(RUNTIME_ARGS, options);
+    sinon.assert.callCount(hubCiStatus, 1);
+    const gcsOptions = hubCiStatus.getCall(0).args[1];
+    assert.deepStrictEqual(
+      gcsOptions.excludeJob,
+      {
+        job: 'check',
+        runId: '123',
+        repository: 'owner/repo',
+        runAttempt: '2',
+        runnerName: 'GitHub Actions 4',
+      },
+    );
+  });
+
+  it('passes excludeJob without optional GitHub Actions variables',
+    async () => {
+      const hubCiStatus = sinon.stub().resolves(0);
+      const options = {
+        ...getTestOptions(),
+        env: {
+          GITHUB_ACTIONS: 'true',
+          GITHUB_JOB: 'check',
+          GITHUB_RUN_ID: '123',
+        },
+        hubCiStatus,
+      };
+      await hubCiStatusCmdP(RUNTIME_ARGS, options);
+      sinon.assert.callCount(hubCiStatus, 1);
+      const gcsOptions = hubCiStatus.getCall(0).args[1];
+      assert.deepStrictEqual(
+        gcsOptions.excludeJob,
+        {
+          job: 'check',
+          runId: '123',
+          repository: undefined,
+          runAttempt: undefined,
+          runnerName: undefined,
+        },
+      );
+    });
+
+  it('does not pass excludeJob with --include-current-job', async () => {
+    const hubCiStatus = sinon.stub().resolves(0);
+    const options = {
+      ...getTestOptions(),
+      env: {
+        GITHUB_ACTIONS: 'true',
+        GITHUB_JOB: 'check',
+        GITHUB_RUN_ID: '123',
+      },
+      hubCiStatus,
+    };
+    await hubCiStatusCmdP([...RUNTIME_ARGS, '--include-current-job'], options);
+    sinon.assert.callCount(hubCiStatus, 1);
+    const gcsOptions = hubCiStatus.getCall(0).args[1];
+    assert.strictEqual(gcsOptions.excludeJob, undefined);
+  });
+
   function expectArgsAs(args, expectRef, expectOptions) {
     const testDesc =
       `interprets ${args.join(' ')} as ${expectRef}, ${expectOptions}`;
@@ -179,6 +320,16 @@ describe('hub-ci-status command', () => {
   // Check individual arguments are handled correctly
   expectArgsAs([], undefined, match({
     auth: undefined,
+    exclude: undefined,
+    excludeJob: undefined,
+    expect: undefined,
+    format: undefined,
+    include: undefined,
+    minChecks: undefined,
+    outputFormat: undefined,
+    required: false,
+    showSuperseded: false,
+    stuckAfterMs: undefined,
     useColor: undefined,
     verbosity: 0,
     wait: undefined,
@@ -195,17 +346,127 @@ describe('hub-ci-status command', () => {
     verbosity: 0,
     wait: undefined,
   }));
+  expectArgsAs(['--backoff', 'exponential', '--wait'], undefined, match({
+    wait: match({
+      maxTotalMs: Infinity,
+      waitMs: yieldsFirst(4000, 8000, 16000, 32000, 60000, 60000),
+    }),
+  }));
+  expectArgsAs(['--backoff=constant', '-w'], undefined, match({
+    wait: match({ waitMs: yieldsFirst(4000, 4000, 4000) }),
+  }));
+  expectArgsAs(['--backoff=full-jitter', '-W'], undefined, match({
+    wait: match({ waitMs: yieldsBetween([0, 4000], [0, 8000], [0, 16000]) }),
+  }));
+  expectArgsAs(['--backoff=equal-jitter', '-W'], undefined, match({
+    wait: match({
+      waitMs: yieldsBetween([2000, 4000], [4000, 8000], [8000, 16000]),
+    }),
+  }));
+  expectArgsAs(['--backoff=decorrelated-jitter', '-W'], undefined, match({
+    wait: match({ waitMs: yieldsBetween([4000, 12000], [4000, 36000]) }),
+  }));
+  expectArgsAs(
+    [
+      '--backoff-factor=3',
+      '--backoff-initial=0.5',
+      '--backoff-max',
+      '10',
+      '--wait',
+    ],
+    undefined,
+    match({ wait: match({ waitMs: yieldsFirst(500, 1500, 4500, 10000) }) }),
+  );
+  // Backoff is ignored without --wait
+  expectArgsAs(['--backoff=constant'], undefined, match({ wait: undefined }));
+  expectArgsAs(['--base', 'main'], undefined, match({ required: 'main' }));
+  expectArgsAs(
+    ['--base=main', '--required', 'ref'],
+    'ref',
+    match({ required: 'main' }),
+  );
   expectArgsAs(['--color'], undefined, match({ useColor: true }));
   expectArgsAs(['--color=always'], undefined, match({ useColor: true }));
   expectArgsAs(['--color=never'], undefined, match({ useColor: false }));
   // FIXME: I'd prefer --color behave like getopt_long(3) optional_argument,
   // but can't find a way to do it with yargs.  Consumes next arg for now.
   expectArgsAs(['--color', 'never'], undefined, match({ useColor: false }));
+  expectArgsAs(
+    ['--color=never', '--color'],
+    undefined,
+    match({ useColor: true }),
+  );
+  expectArgsAs(['--format', '%S%n'], undefined, match({ format: '%S%n' }));
+  expectArgsAs(['--format=%t'], undefined, match({ format: '%t' }));
+  expectArgsAs(['-f', '%U'], undefined, match({ format: '%U' }));
+  expectArgsAs(
+    ['--format', '%S', '--format', '%t'],
+    undefined,
+    match({ format: '%t' }),
+  );
+  expectArgsAs(['--exclude', 'codecov/*'], undefined, match({
+    exclude: ['codecov/*'],
+  }));
+  expectArgsAs(['--exclude=a*', '--exclude', 'b*', 'ref'], 'ref', match({
+    exclude: ['a*', 'b*'],
+  }));
+  expectArgsAs(['--expect', 'ci/*'], undefined, match({
+    expect: ['ci/*'],
+  }));
+  expectArgsAs(['--expect=a*', '--expect', 'b', 'ref'], 'ref', match({
+    expect: ['a*', 'b'],
+  }));
+  expectArgsAs(['--include', 'ci/*'], undefined, match({
+    include: ['ci/*'],
+  }));
+  expectArgsAs(['--include=a*', '--include', 'b*', 'ref'], 'ref', match({
+    include: ['a*', 'b*'],
+  }));
+  expectArgsAs(['--json'], undefined, match({ outputFormat: 'json' }));
+  expectArgsAs(
+    ['--output-format', 'junit'],
+    undefined,
+    match({ outputFormat: 'junit' }),
+  );
+  expectArgsAs(
+    ['--output-format=markdown'],
+    undefined,
+    match({ outputFormat: 'markdown' }),
+  );
+  expectArgsAs(
+    ['--output-format=tap'],
+    undefined,
+    match({ outputFormat: 'tap' }),
+  );
+  expectArgsAs(
+    ['--output-format=text'],
+    undefined,
+    match({ outputFormat: 'text' }),
+  );
+  expectArgsAs(['--min-checks', '3'], undefined, match({ minChecks: 3 }));
+  expectArgsAs(['--min-checks=0', 'ref'], 'ref', match({ minChecks: 0 }));
   expectArgsAs(['--quiet'], undefined, match({ verbosity: -1 }));
   expectArgsAs(['--quiet', 'ref'], 'ref', match({ verbosity: -1 }));
   expectArgsAs(['-q'], undefined, match({ verbosity: -1 }));
   expectArgsAs(['-q', 'ref'], 'ref', match({ verbosity: -1 }));
   expectArgsAs(['-qq'], undefined, match({ verbosity: -2 }));
+  expectArgsAs(['--required'], undefined, match({ required: true }));
+  expectArgsAs(['--required', 'ref'], 'ref', match({ required: true }));
+  expectArgsAs(
+    ['--show-superseded'],
+    undefined,
+    match({ showSuperseded: true }),
+  );
+  expectArgsAs(
+    ['--stuck-after', '600'],
+    undefined,
+    match({ stuckAfterMs: 600000 }),
+  );
+  expectArgsAs(
+    ['--stuck-after=0.5'],
+    undefined,
+    match({ stuckAfterMs: 500 }),
+  );
   expectArgsAs(['--verbose'], undefined, match({ verbosity: 1 }));
   expectArgsAs(['--verbose', 'ref'], 'ref', match({ verbosity: 1 }));
   expectArgsAs(['-v'], undefined, match({ verbosity: 1 }));
@@ -284,6 +545,14 @@ describe('hub-ci-status command', () => {
   }
 
   // Check argument errors are handled correctly
+  expectArgsErr(['--backoff'], /\bbackoff\b/);
+  expectArgsErr(['--backoff=linear'], /\bbackoff\b/);
+  expectArgsErr(['--backoff-factor=0'], /\bbackoff-factor\b/);
+  expectArgsErr(['--backoff-factor=x'], /\bbackoff-factor\b/);
+  expectArgsErr(['--backoff-initial='], /\bbackoff-initial\b/);
+  expectArgsErr(['--backoff-initial=-1'], /\bbackoff-initial\b/);
+  expectArgsErr(['--backoff-max=0'], /\bbackoff-max\b/);
+  expectArgsErr(['--base'], /\bbase\b/);
   expectArgsErr(['--color=maybe'], /\bcolor\b/);
   expectArgsErr(['--color='], /\bcolor\b/);
   expectArgsErr(['--wait=nope'], /\bwait\b/);
@@ -293,10 +562,79 @@ describe('hub-ci-status command', () => {
   expectArgsErr(['-wnope'], /\bwait\b/);
   expectArgsErr(['-w-1'], /\bwait\b/);
   expectArgsErr(['-w', '-1'], /\bwait\b/);
+  expectArgsErr(['--exclude'], /\bexclude\b/);
+  expectArgsErr(['--expect'], /\bexpect\b/);
+  expectArgsErr(['--format'], /\bformat\b/);
+  expectArgsErr(['--include'], /\binclude\b/);
+  expectArgsErr(['--min-checks'], /\bmin-checks\b/);
+  expectArgsErr(['--min-checks=-1'], /\bmin-checks\b/);
+  expectArgsErr(['--min-checks=1.5'], /\bmin-checks\b/);
+  expectArgsErr(['--min-checks=x'], /\bmin-checks\b/);
+  expectArgsErr(['--output'], /\boutput\b/);
+  expectArgsErr(['--output-format=xml'], /\boutput-format\b/);
+  expectArgsErr(['--json', '--output-format=json'], /\bjson\b/);
+  expectArgsErr(['--stuck-after'], /\bstuck-after\b/);
+  expectArgsErr(['--stuck-after='], /\bstuck-after\b/);
+  expectArgsErr(['--stuck-after=-1'], /\bstuck-after\b/);
+  expectArgsErr(['--stuck-after=x'], /\bstuck-after\b/);
   expectArgsErr(['--unknown123'], /\bunknown123\b/);
   // Note: Differs from hub(1), which ignores unexpected ci-status arguments.
   expectArgsErr(['ref1', 'ref2'], /\barguments?\b/i);
 
+  describe('with --output', () => {
+    let tempDir;
+    before('create temp directory', async () => {
+      tempDir = await makeTempDir({ unsafeCleanup: true });
+    });
+    after('remove temp directory', () => tempDir.cleanup());
+
+    it('writes output to file', async () => {
+      const outPath = path.join(tempDir.path, 'output.xml');
+      const args = [...RUNTIME_ARGS, '--output', outPath];
+      const testOutput = 'test output\n';
+      const hubCiStatus = sinon.stub().callsFake(async (ref, opts) => {
+        opts.stdout.write(testOutput);
+        return 1;
+      });
+      const options = {
+        ...getTestOptions(),
+        hubCiStatus,
+      };
+      const exitCode = await hubCiStatusCmdP(args, options);
+      assert.strictEqual(exitCode, 1);
+      assert.strictEqual(options.stdout.read(), null);
+      assert.strictEqual(options.stderr.read(), null);
+      assert.strictEqual(await readFile(outPath, 'utf8'), testOutput);
+    });
+
+    it('writes empty file without output', async () => {
+      const outPath = path.join(tempDir.path, 'empty.txt');
+      const args = [...RUNTIME_ARGS, '-o', outPath];
+      const hubCiStatus = sinon.stub().resolves(0);
+      const options = {
+        ...getTestOptions(),
+        hubCiStatus,
+      };
+      const exitCode = await hubCiStatusCmdP(args, options);
+      assert.strictEqual(exitCode, 0);
+      assert.strictEqual(await readFile(outPath, 'utf8'), '');
+    });
+
+    it('prints error and exits if file can not be written', async () => {
+      const outPath = path.join(tempDir.path, 'nonexistent', 'output.txt');
+      const args = [...RUNTIME_ARGS, '--output', outPath];
+      const hubCiStatus = sinon.stub().resolves(0);
+      const options = {
+        ...getTestOptions(),
+        hubCiStatus,
+      };
+      const exitCode = await hubCiStatusCmdP(args, options);
+      assert.strictEqual(exitCode, 1);
+      assert.strictEqual(options.stdout.read(), null);
+      assert.match(options.stderr.read(), /ENOENT/);
+    });
+  });
+
   it('prints hubCiStatus rejection to stderr', async () => {
     const errTest = new RangeError('test');
     const hubCiStatus = sinon.stub().rejects(errTest);
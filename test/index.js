@@ -7,23 +7,29 @@
 
 const ansiStyles = require('ansi-styles');
 const assert = require('assert');
+const { once } = require('events');
 const proxyquire = require('proxyquire');
 const sinon = require('sinon');
 const { PassThrough } = require('stream');
 
+const AbortError = require('../lib/abort-error.js');
+const AbortController = require('../test-lib/abort-controller.js');
 const { makeCheckRuns, makeCombinedStatus } =
   require('../test-lib/api-responses.js');
 
 const { match } = sinon;
 
 const fetchCiStatus = sinon.stub();
+const fetchJobCheckRunId = sinon.stub();
 const getProjectName = sinon.stub();
+const resolveBranch = sinon.stub();
 const resolveCommit = sinon.stub();
 const hubCiStatus = proxyquire(
   '..',
   {
     './lib/fetch-ci-status.js': fetchCiStatus,
-    './lib/git-utils.js': { resolveCommit },
+    './lib/fetch-job-check-run-id.js': fetchJobCheckRunId,
+    './lib/git-utils.js': { resolveBranch, resolveCommit },
     './lib/github-utils.js': { getProjectName },
   },
 );
@@ -45,17 +51,25 @@ beforeEach(() => {
   };
 
   fetchCiStatus.reset();
+  fetchJobCheckRunId.reset();
+  fetchJobCheckRunId.rejects(
+    new Error('fetchJobCheckRunId should not be called'),
+  );
   getProjectName.reset();
   getProjectName.returns([testOwner, testRepo]);
+  resolveBranch.reset();
+  resolveBranch.rejects(new Error('resolveBranch should not be called'));
   resolveCommit.reset();
   resolveCommit.returns(testRef);
 });
 
 const statePriority = [
   'test123',
+  'skipped',
   'neutral',
   'success',
   'pending',
+  'stale',
   'cancelled',
   'timed_out',
   'action_required',
@@ -68,18 +82,22 @@ const stateToColor = {
   cancelled: 'red',
   error: 'red',
   failure: 'red',
+  stale: 'red',
   timed_out: 'red', // eslint-disable-line camelcase
   neutral: 'black',
+  skipped: 'black',
   pending: 'yellow',
   test123: undefined,
 };
 const stateToExit = {
   success: 0,
   neutral: 0,
+  skipped: 0,
   action_required: 1, // eslint-disable-line camelcase
   cancelled: 1,
   error: 1,
   failure: 1,
+  stale: 1,
   timed_out: 1, // eslint-disable-line camelcase
   pending: 2,
   test123: 3,
@@ -90,12 +108,39 @@ const stateToMarker = {
   cancelled: '✖︎',
   error: '✖︎',
   failure: '✖︎',
+  stale: '✖︎',
   timed_out: '✖︎', // eslint-disable-line camelcase
   neutral: '◦',
+  skipped: '◦',
   pending: '●',
   test123: '',
 };
 
+/** Makes check runs where a failed run was superseded by a successful
+ * re-run.
+ *
+ * @private
+ * @returns {!object} "List check runs for a Git reference" response data.
+ */
+function makeRerunCheckRuns() {
+  const checksList = makeCheckRuns('failure', 'success').data;
+  const [failedRun, rerun] = checksList.check_runs;
+  /* eslint-disable camelcase */
+  return {
+    ...checksList,
+    check_runs: [
+      failedRun,
+      {
+        ...rerun,
+        name: failedRun.name,
+        html_url: 'https://github.com/github/hello-world/runs/5',
+        started_at: '2018-05-04T01:20:00Z',
+      },
+    ],
+  };
+  /* eslint-enable camelcase */
+}
+
 describe('hubCiStatus', () => {
   it('checks HEAD by default', async () => {
     fetchCiStatus.resolves([
@@ -214,6 +259,823 @@ describe('hubCiStatus', () => {
     });
   }
 
+  describe('with format', () => {
+    beforeEach(() => { testOptions.format = '%S:%t:%U%n'; });
+
+    it('prints each status using format', async () => {
+      fetchCiStatus.resolves([
+        makeCombinedStatus('success').data,
+        makeCheckRuns('failure').data,
+      ]);
+      const result = await hubCiStatus(undefined, testOptions);
+      assert.strictEqual(
+        testOptions.stdout.read(),
+        'success:continuous-integration/jenkins:'
+        + 'https://ci.example.com/1000/output\n'
+        + 'failure:mighty_readme:'
+        + 'https://github.com/github/hello-world/runs/4\n',
+      );
+      assert.strictEqual(testOptions.stderr.read(), null);
+      assert.strictEqual(result, 1);
+    });
+
+    it('does not add newline', async () => {
+      testOptions.format = '%S';
+      fetchCiStatus.resolves([
+        makeCombinedStatus('success', 'pending').data,
+        makeCheckRuns().data,
+      ]);
+      await hubCiStatus(undefined, testOptions);
+      assert.strictEqual(testOptions.stdout.read(), 'successpending');
+      assert.strictEqual(testOptions.stderr.read(), null);
+    });
+
+    it('prints "no status" if no checks or statuses', async () => {
+      fetchCiStatus.resolves([
+        makeCombinedStatus().data,
+        makeCheckRuns().data,
+      ]);
+      const result = await hubCiStatus(undefined, testOptions);
+      assert.strictEqual(testOptions.stdout.read(), 'no status\n');
+      assert.strictEqual(testOptions.stderr.read(), null);
+      assert.strictEqual(result, 3);
+    });
+
+    it('does not print with verbosity=-1', async () => {
+      testOptions.verbosity = -1;
+      fetchCiStatus.resolves([
+        makeCombinedStatus('success').data,
+        makeCheckRuns().data,
+      ]);
+      await hubCiStatus(undefined, testOptions);
+      assert.strictEqual(testOptions.stdout.read(), null);
+      assert.strictEqual(testOptions.stderr.read(), null);
+    });
+
+    it('expands %sC and %Creset with useColor', async () => {
+      testOptions.format = '%sC%S%Creset%n';
+      testOptions.useColor = true;
+      fetchCiStatus.resolves([
+        makeCombinedStatus('success').data,
+        makeCheckRuns('failure', 'test123').data,
+      ]);
+      await hubCiStatus(undefined, testOptions);
+      const reset = '\u001B[0m';
+      assert.strictEqual(
+        testOptions.stdout.read(),
+        `${ansiStyles.green.open}success${reset}\n`
+        + `${ansiStyles.red.open}failure${reset}\n`
+        + `test123${reset}\n`,
+      );
+      assert.strictEqual(testOptions.stderr.read(), null);
+    });
+
+    it('removes %sC and %Creset without useColor', async () => {
+      testOptions.format = '%sC%S%Creset%n';
+      testOptions.useColor = false;
+      fetchCiStatus.resolves([
+        makeCombinedStatus('success').data,
+        makeCheckRuns().data,
+      ]);
+      await hubCiStatus(undefined, testOptions);
+      assert.strictEqual(testOptions.stdout.read(), 'success\n');
+      assert.strictEqual(testOptions.stderr.read(), null);
+    });
+  });
+
+  it('ignores statuses and checks matching exclude', async () => {
+    fetchCiStatus.resolves([
+      makeCombinedStatus('success', 'failure').data,
+      makeCheckRuns('pending').data,
+    ]);
+    const result = await hubCiStatus(undefined, {
+      ...testOptions,
+      exclude: ['security/*', 'mighty_*'],
+    });
+    assert.strictEqual(testOptions.stdout.read(), 'success\n');
+    assert.strictEqual(result, 0);
+  });
+
+  it('uses state of latest attempt of re-run check', async () => {
+    fetchCiStatus.resolves([
+      makeCombinedStatus().data,
+      makeRerunCheckRuns(),
+    ]);
+    const result = await hubCiStatus(undefined, testOptions);
+    assert.strictEqual(testOptions.stdout.read(), 'success\n');
+    assert.strictEqual(result, 0);
+  });
+
+  it('prints pending contexts to stderr if wait timed out', async () => {
+    fetchCiStatus.resolves([
+      makeCombinedStatus('pending', 'success').data,
+      makeCheckRuns('success', 'queued').data,
+    ]);
+    const result = await hubCiStatus(undefined, {
+      ...testOptions,
+      minChecks: 5,
+      wait: { maxTotalMs: 1000 },
+    });
+    assert.strictEqual(testOptions.stdout.read(), 'pending\n');
+    assert.strictEqual(
+      testOptions.stderr.read(),
+      'Error: Timed out waiting for continuous-integration/jenkins, '
+        + 'mighty_readme_2, 1 more statuses or checks\n',
+    );
+    assert.strictEqual(result, 4);
+  });
+
+  it('prints timeout waiting for any status to stderr', async () => {
+    fetchCiStatus.resolves([
+      makeCombinedStatus().data,
+      makeCheckRuns().data,
+    ]);
+    const result = await hubCiStatus(undefined, {
+      ...testOptions,
+      wait: { maxTotalMs: 1000 },
+    });
+    assert.strictEqual(testOptions.stdout.read(), 'no status\n');
+    assert.strictEqual(
+      testOptions.stderr.read(),
+      'Error: Timed out waiting for any CI status or check\n',
+    );
+    assert.strictEqual(result, 4);
+  });
+
+  it('prints last poll and interrupted contexts to stderr if aborted',
+    async () => {
+      const abortController = new AbortController();
+      fetchCiStatus.callsFake(async (apiArgs, options) => {
+        options.onPoll([
+          makeCombinedStatus('pending', 'success').data,
+          makeCheckRuns('success').data,
+        ]);
+        abortController.abort();
+        throw new AbortError();
+      });
+      const result = await hubCiStatus(undefined, {
+        ...testOptions,
+        signal: abortController.signal,
+        wait: { maxTotalMs: 1000 },
+      });
+      assert.strictEqual(testOptions.stdout.read(), 'pending\n');
+      assert.strictEqual(
+        testOptions.stderr.read(),
+        'Error: Interrupted waiting for continuous-integration/jenkins\n',
+      );
+      assert.strictEqual(result, 130);
+    });
+
+  describe('with verbosity=1 and wait on a TTY', () => {
+    beforeEach(() => {
+      testOptions.stdout.isTTY = true;
+      testOptions.useColor = false;
+      testOptions.verbosity = 1;
+    });
+
+    it('redraws statuses with countdown while waiting', async () => {
+      const pending = [
+        makeCombinedStatus('success').data,
+        makeCheckRuns('queued').data,
+      ];
+      const done = [
+        makeCombinedStatus('success').data,
+        makeCheckRuns('success').data,
+      ];
+      fetchCiStatus.callsFake(async (apiArgs, options) => {
+        options.onPoll(pending);
+        await options.retry.setTimeout(1000, undefined, {});
+        options.onPoll(done);
+        return done;
+      });
+      const waitSetTimeout = sinon.stub().resolves();
+      const result = await hubCiStatus(undefined, {
+        ...testOptions,
+        wait: { setTimeout: waitSetTimeout },
+      });
+      assert.strictEqual(result, 0);
+      sinon.assert.calledOnceWithExactly(
+        waitSetTimeout,
+        1000,
+        undefined,
+        {},
+      );
+      const runUrl = 'https://github.com/github/hello-world/runs/4';
+      assert.strictEqual(
+        testOptions.stdout.read(),
+        '✔︎\tcontinuous-integration/jenkins\n'
+        + '●\tmighty_readme                 \t0s\n'
+        + 'Next poll in 1s...\n'
+        + '\u001B[3A\u001B[0J'
+        + '✔︎\tcontinuous-integration/jenkins\n'
+        + '●\tmighty_readme                 \t0s\n'
+        + 'Polling...\n'
+        + '\u001B[3A\u001B[0J'
+        + '✔︎\tcontinuous-integration/jenkins\t'
+        + 'https://ci.example.com/1000/output\n'
+        + `✔︎\tmighty_readme                 \t${runUrl}\n`,
+      );
+    });
+
+    it('erases statuses on error', async () => {
+      const errTest = new Error('test');
+      fetchCiStatus.callsFake(async (apiArgs, options) => {
+        options.onPoll([
+          makeCombinedStatus('pending').data,
+          makeCheckRuns().data,
+        ]);
+        await options.retry.setTimeout(1000);
+        throw errTest;
+      });
+      await assert.rejects(
+        () => hubCiStatus(undefined, {
+          ...testOptions,
+          wait: { setTimeout: sinon.stub().resolves() },
+        }),
+        errTest,
+      );
+      assert(testOptions.stdout.read().endsWith('\u001B[2A\u001B[0J'));
+    });
+
+    it('does not redraw if not waiting', async () => {
+      fetchCiStatus.resolves([
+        makeCombinedStatus('success').data,
+        makeCheckRuns().data,
+      ]);
+      await hubCiStatus(undefined, testOptions);
+      sinon.assert.calledOnceWithExactly(
+        fetchCiStatus,
+        matchOwnerRepoRef,
+        match({ onPoll: undefined }),
+      );
+    });
+
+    it('does not redraw if stdout is not a TTY', async () => {
+      testOptions.stdout.isTTY = false;
+      const waitSetTimeout = sinon.stub().resolves();
+      fetchCiStatus.resolves([
+        makeCombinedStatus('success').data,
+        makeCheckRuns().data,
+      ]);
+      await hubCiStatus(undefined, {
+        ...testOptions,
+        wait: { setTimeout: waitSetTimeout },
+      });
+      sinon.assert.calledOnceWithExactly(
+        fetchCiStatus,
+        matchOwnerRepoRef,
+        match({ onPoll: undefined, retry: { setTimeout: waitSetTimeout } }),
+      );
+    });
+  });
+
+  it('prints stuck contexts to stderr as failed', async () => {
+    fetchCiStatus.resolves([
+      makeCombinedStatus('success').data,
+      makeCheckRuns('success', 'queued').data,
+    ]);
+    const result = await hubCiStatus(undefined, {
+      ...testOptions,
+      stuckAfterMs: 60000,
+    });
+    assert.strictEqual(testOptions.stdout.read(), 'timed_out\n');
+    assert.strictEqual(
+      testOptions.stderr.read(),
+      'Error: Pending for more than 60 seconds: mighty_readme_2\n',
+    );
+    assert.strictEqual(result, 1);
+    sinon.assert.calledOnceWithExactly(
+      fetchCiStatus,
+      matchOwnerRepoRef,
+      match({ stuckAfterMs: 60000 }),
+    );
+  });
+
+  it('rejects with RangeError for unknown outputFormat', async () => {
+    await assert.rejects(
+      () => hubCiStatus(undefined, {
+        ...testOptions,
+        outputFormat: 'test123',
+      }),
+      RangeError,
+    );
+    sinon.assert.callCount(fetchCiStatus, 0);
+  });
+
+  describe('with outputFormat=json', () => {
+    beforeEach(() => { testOptions.outputFormat = 'json'; });
+
+    it('prints statuses and checks as JSON', async () => {
+      const combinedStatus = makeCombinedStatus('success').data;
+      const checkRuns = makeCheckRuns('failure').data;
+      fetchCiStatus.resolves([combinedStatus, checkRuns]);
+      const result = await hubCiStatus(undefined, testOptions);
+      assert.deepStrictEqual(JSON.parse(testOptions.stdout.read()), {
+        owner: testOwner,
+        repo: testRepo,
+        sha: testRef,
+        state: 'failure',
+        exitCode: 1,
+        timedOut: false,
+        statuses: combinedStatus.statuses,
+        checkRuns: checkRuns.check_runs,
+        missingContexts: [],
+        missingCount: 0,
+        stuckContexts: [],
+      });
+      assert.strictEqual(testOptions.stderr.read(), null);
+      assert.strictEqual(result, 1);
+    });
+
+    it('prints null state if no checks or statuses', async () => {
+      fetchCiStatus.resolves([
+        makeCombinedStatus().data,
+        makeCheckRuns().data,
+      ]);
+      const result = await hubCiStatus(undefined, testOptions);
+      assert.deepStrictEqual(JSON.parse(testOptions.stdout.read()), {
+        owner: testOwner,
+        repo: testRepo,
+        sha: testRef,
+        state: null,
+        exitCode: 3,
+        timedOut: false,
+        statuses: [],
+        checkRuns: [],
+        missingContexts: [],
+        missingCount: 0,
+        stuckContexts: [],
+      });
+      assert.strictEqual(testOptions.stderr.read(), null);
+      assert.strictEqual(result, 3);
+    });
+
+    it('prints missingContexts of required checks', async () => {
+      fetchCiStatus.resolves([
+        makeCombinedStatus().data,
+        makeCheckRuns('success').data,
+        [{ context: 'mighty_readme' }, { context: 'deploy' }],
+      ]);
+      const result = await hubCiStatus(undefined, {
+        ...testOptions,
+        required: 'main',
+      });
+      const output = JSON.parse(testOptions.stdout.read());
+      assert.strictEqual(output.state, 'pending');
+      assert.deepStrictEqual(output.missingContexts, ['deploy']);
+      assert.strictEqual(result, 2);
+    });
+
+    it('prints unmatched expect patterns and minChecks shortfall',
+      async () => {
+        fetchCiStatus.resolves([
+          makeCombinedStatus().data,
+          makeCheckRuns('success').data,
+        ]);
+        const result = await hubCiStatus(undefined, {
+          ...testOptions,
+          expect: ['mighty_*', 'deploy*'],
+          minChecks: 3,
+        });
+        const output = JSON.parse(testOptions.stdout.read());
+        assert.strictEqual(output.state, 'pending');
+        assert.deepStrictEqual(output.missingContexts, ['deploy*']);
+        assert.strictEqual(output.missingCount, 2);
+        assert.strictEqual(result, 2);
+      });
+
+    it('prints stuckContexts', async () => {
+      fetchCiStatus.resolves([
+        makeCombinedStatus('success').data,
+        makeCheckRuns('success', 'queued').data,
+      ]);
+      const result = await hubCiStatus(undefined, {
+        ...testOptions,
+        stuckAfterMs: 60000,
+      });
+      const output = JSON.parse(testOptions.stdout.read());
+      assert.strictEqual(output.state, 'timed_out');
+      assert.deepStrictEqual(output.stuckContexts, ['mighty_readme_2']);
+      assert.strictEqual(result, 1);
+    });
+
+    it('ignores format', async () => {
+      testOptions.format = '%S';
+      fetchCiStatus.resolves([
+        makeCombinedStatus('success').data,
+        makeCheckRuns().data,
+      ]);
+      await hubCiStatus(undefined, testOptions);
+      const output = JSON.parse(testOptions.stdout.read());
+      assert.strictEqual(output.state, 'success');
+    });
+
+    it('does not print with verbosity=-1', async () => {
+      testOptions.verbosity = -1;
+      fetchCiStatus.resolves([
+        makeCombinedStatus('success').data,
+        makeCheckRuns().data,
+      ]);
+      const result = await hubCiStatus(undefined, testOptions);
+      assert.strictEqual(testOptions.stdout.read(), null);
+      assert.strictEqual(testOptions.stderr.read(), null);
+      assert.strictEqual(result, 0);
+    });
+  });
+
+  describe('with outputFormat=junit', () => {
+    beforeEach(() => { testOptions.outputFormat = 'junit'; });
+
+    it('prints statuses and checks as JUnit XML', async () => {
+      fetchCiStatus.resolves([
+        makeCombinedStatus('success', 'pending').data,
+        makeCheckRuns('failure').data,
+      ]);
+      const result = await hubCiStatus(undefined, testOptions);
+      const counts = 'tests="3" failures="1" errors="0" skipped="1"';
+      assert.strictEqual(
+        testOptions.stdout.read(),
+        '<?xml version="1.0" encoding="UTF-8"?>\n'
+        + `<testsuites name="hub-ci-status" ${counts}>\n`
+        + `  <testsuite name="owner/repo" ${counts}>\n`
+        + '    <properties>\n'
+        + `      <property name="sha" value="${testRef}"/>\n`
+        + '    </properties>\n'
+        + '    <testcase classname="owner/repo"'
+        + ' name="continuous-integration/jenkins"/>\n'
+        + '    <testcase classname="owner/repo" name="security/brakeman">\n'
+        + '      <skipped message="pending: '
+        + 'https://ci.example.com/2000/output"/>\n'
+        + '    </testcase>\n'
+        + '    <testcase classname="owner/repo" name="mighty_readme">\n'
+        + '      <failure message="failure: '
+        + 'https://github.com/github/hello-world/runs/4" type="failure">'
+        + 'https://github.com/github/hello-world/runs/4&#10;'
+        + 'There are 0 failures, 2 warnings, and 1 notice.</failure>\n'
+        + '    </testcase>\n'
+        + '  </testsuite>\n'
+        + '</testsuites>\n',
+      );
+      assert.strictEqual(testOptions.stderr.read(), null);
+      assert.strictEqual(result, 1);
+    });
+
+    const failureStates =
+      ['action_required', 'cancelled', 'error', 'stale', 'timed_out'];
+    for (const state of failureStates) {
+      it(`reports ${state} as failure`, async () => {
+        fetchCiStatus.resolves([
+          makeCombinedStatus().data,
+          makeCheckRuns(state).data,
+        ]);
+        await hubCiStatus(undefined, testOptions);
+        assert.match(
+          testOptions.stdout.read(),
+          new RegExp(`<failure [^>]*type="${state}"`),
+        );
+      });
+    }
+
+    it('reports missing required check as skipped', async () => {
+      fetchCiStatus.resolves([
+        makeCombinedStatus().data,
+        makeCheckRuns('success').data,
+        [{ context: 'mighty_readme' }, { context: 'deploy' }],
+      ]);
+      const result = await hubCiStatus(undefined, {
+        ...testOptions,
+        required: 'main',
+      });
+      const output = testOptions.stdout.read();
+      assert.match(output, / tests="2" failures="0" errors="0" skipped="1"/);
+      assert(
+        output.includes(
+          '    <testcase classname="owner/repo" name="deploy">\n'
+          + '      <skipped message="pending"/>\n'
+          + '    </testcase>\n',
+        ),
+        output,
+      );
+      assert.strictEqual(result, 2);
+    });
+
+    it('reports expected and minChecks shortfall as skipped', async () => {
+      fetchCiStatus.resolves([
+        makeCombinedStatus().data,
+        makeCheckRuns('success').data,
+      ]);
+      const result = await hubCiStatus(undefined, {
+        ...testOptions,
+        expect: ['deploy'],
+        minChecks: 3,
+      });
+      const output = testOptions.stdout.read();
+      assert.match(output, / tests="3" failures="0" errors="0" skipped="2"/);
+      assert(
+        output.includes(
+          '    <testcase classname="owner/repo" name="deploy">\n'
+          + '      <skipped message="pending"/>\n'
+          + '    </testcase>\n'
+          + '    <testcase classname="owner/repo"'
+          + ' name="2 more statuses or checks">\n'
+          + '      <skipped message="pending"/>\n'
+          + '    </testcase>\n',
+        ),
+        output,
+      );
+      assert.strictEqual(result, 2);
+    });
+
+    it('reports stuck check run as failure', async () => {
+      fetchCiStatus.resolves([
+        makeCombinedStatus('success').data,
+        makeCheckRuns('success', 'queued').data,
+      ]);
+      const result = await hubCiStatus(undefined, {
+        ...testOptions,
+        stuckAfterMs: 60000,
+      });
+      const output = testOptions.stdout.read();
+      assert.match(output, / failures="1" errors="0" skipped="0"/);
+      assert(
+        output.includes(
+          '<testcase classname="owner/repo" name="mighty_readme_2">\n'
+          + '      <failure message="timed_out: '
+          + 'https://github.com/github/hello-world/runs/4" type="timed_out">',
+        ),
+        output,
+      );
+      assert.strictEqual(result, 1);
+    });
+
+    it('escapes XML special characters', async () => {
+      const combinedStatus = makeCombinedStatus('failure').data;
+      fetchCiStatus.resolves([
+        {
+          ...combinedStatus,
+          statuses: combinedStatus.statuses.map((status) => ({
+            ...status,
+            context: '<a href="x">&\'\u0001',
+            description: '</failure>',
+            target_url: '', // eslint-disable-line camelcase
+          })),
+        },
+        makeCheckRuns().data,
+      ]);
+      await hubCiStatus(undefined, testOptions);
+      const output = testOptions.stdout.read();
+      assert(
+        output.includes('name="&lt;a href=&quot;x&quot;&gt;&amp;&apos;"'),
+        output,
+      );
+      assert(
+        output.includes(
+          '<failure message="failure" type="failure">'
+          + '&lt;/failure&gt;</failure>',
+        ),
+        output,
+      );
+    });
+
+    it('prints empty testsuite if no checks or statuses', async () => {
+      fetchCiStatus.resolves([
+        makeCombinedStatus().data,
+        makeCheckRuns().data,
+      ]);
+      const result = await hubCiStatus(undefined, testOptions);
+      assert.match(
+        testOptions.stdout.read(),
+        /<testsuite name="owner\/repo" tests="0" failures="0" /,
+      );
+      assert.strictEqual(result, 3);
+    });
+  });
+
+  describe('with outputFormat=markdown', () => {
+    beforeEach(() => { testOptions.outputFormat = 'markdown'; });
+
+    it('prints heading and table of statuses and checks', async () => {
+      const checkRuns = makeCheckRuns('failure', 'in_progress').data;
+      checkRuns.check_runs[0] = {
+        ...checkRuns.check_runs[0],
+        completed_at: '2018-05-04T01:16:02Z', // eslint-disable-line camelcase
+      };
+      fetchCiStatus.resolves([
+        makeCombinedStatus('success', 'pending').data,
+        checkRuns,
+      ]);
+      const result = await hubCiStatus(undefined, testOptions);
+      assert.strictEqual(
+        testOptions.stdout.read(),
+        '### CI status of owner/repo@4b825dc: ❌ failure\n'
+        + '\n'
+        + '| State | Context | Description | Duration |\n'
+        + '| :---: | ------- | ----------- | -------: |\n'
+        + '| ✅ | [continuous-integration/jenkins]'
+        + '(https://ci.example.com/1000/output)'
+        + ' | Build has completed successfully |  |\n'
+        + '| 🟡 | [security/brakeman](https://ci.example.com/2000/output)'
+        + ' | Testing has completed successfully |  |\n'
+        + '| ❌ | [mighty\\_readme]'
+        + '(https://github.com/github/hello-world/runs/4)'
+        + ' | Mighty Readme report | 1m 10s |\n'
+        + '| 🟡 | [mighty\\_readme\\_2]'
+        + '(https://github.com/github/hello-world/runs/4)'
+        + ' | Mighty Readme report |  |\n',
+      );
+      assert.strictEqual(testOptions.stderr.read(), null);
+      assert.strictEqual(result, 1);
+    });
+
+    it('prints missing required check as pending', async () => {
+      fetchCiStatus.resolves([
+        makeCombinedStatus().data,
+        makeCheckRuns('success').data,
+        [{ context: 'mighty_readme' }, { context: 'deploy' }],
+      ]);
+      await hubCiStatus(undefined, { ...testOptions, required: 'main' });
+      const lines = testOptions.stdout.read().split('\n');
+      assert.strictEqual(
+        lines[0],
+        '### CI status of owner/repo@4b825dc: 🟡 pending',
+      );
+      assert.strictEqual(lines[5], '| 🟡 | deploy |  |  |');
+    });
+
+    it('prints stuck check run as failed', async () => {
+      fetchCiStatus.resolves([
+        makeCombinedStatus().data,
+        makeCheckRuns('queued').data,
+      ]);
+      await hubCiStatus(undefined, { ...testOptions, stuckAfterMs: 60000 });
+      const lines = testOptions.stdout.read().split('\n');
+      assert.strictEqual(
+        lines[0],
+        '### CI status of owner/repo@4b825dc: ❌ timed_out',
+      );
+      assert(lines[4].startsWith('| ❌ | [mighty\\_readme]'), lines[4]);
+    });
+
+    it('escapes context and description', async () => {
+      const combinedStatus = makeCombinedStatus('success').data;
+      fetchCiStatus.resolves([
+        {
+          ...combinedStatus,
+          statuses: combinedStatus.statuses.map((status) => ({
+            ...status,
+            context: 'a|b',
+            description: '*c*\nd',
+            // eslint-disable-next-line camelcase
+            target_url: 'https://example.com/a b(c)',
+          })),
+        },
+        makeCheckRuns().data,
+      ]);
+      await hubCiStatus(undefined, testOptions);
+      assert.strictEqual(
+        testOptions.stdout.read().split('\n')[4],
+        '| ✅ | [a\\|b](https://example.com/a%20b%28c%29) | \\*c\\* d |  |',
+      );
+    });
+
+    it('prints only heading if no checks or statuses', async () => {
+      fetchCiStatus.resolves([
+        makeCombinedStatus().data,
+        makeCheckRuns().data,
+      ]);
+      const result = await hubCiStatus(undefined, testOptions);
+      assert.strictEqual(
+        testOptions.stdout.read(),
+        '### CI status of owner/repo@4b825dc: ❔ no status\n',
+      );
+      assert.strictEqual(result, 3);
+    });
+  });
+
+  describe('with outputFormat=tap', () => {
+    beforeEach(() => { testOptions.outputFormat = 'tap'; });
+
+    it('prints statuses and checks as TAP', async () => {
+      fetchCiStatus.resolves([
+        makeCombinedStatus('success', 'pending').data,
+        makeCheckRuns('failure', 'queued').data,
+      ]);
+      const result = await hubCiStatus(undefined, testOptions);
+      assert.strictEqual(
+        testOptions.stdout.read(),
+        'TAP version 13\n'
+        + '1..4\n'
+        + 'ok 1 - continuous-integration/jenkins\n'
+        + '  ---\n'
+        + '  state: "success"\n'
+        + '  url: "https://ci.example.com/1000/output"\n'
+        + '  description: "Build has completed successfully"\n'
+        + '  ...\n'
+        + 'not ok 2 - security/brakeman # TODO pending\n'
+        + '  ---\n'
+        + '  state: "pending"\n'
+        + '  url: "https://ci.example.com/2000/output"\n'
+        + '  description: "Testing has completed successfully"\n'
+        + '  ...\n'
+        + 'not ok 3 - mighty_readme\n'
+        + '  ---\n'
+        + '  status: "completed"\n'
+        + '  conclusion: "failure"\n'
+        + '  url: "https://github.com/github/hello-world/runs/4"\n'
+        + '  summary: "There are 0 failures, 2 warnings, and 1 notice."\n'
+        + '  ...\n'
+        + 'not ok 4 - mighty_readme_2 # TODO pending\n'
+        + '  ---\n'
+        + '  status: "queued"\n'
+        + '  conclusion: "neutral"\n'
+        + '  url: "https://github.com/github/hello-world/runs/4"\n'
+        + '  summary: "There are 0 failures, 2 warnings, and 1 notice."\n'
+        + '  ...\n',
+      );
+      assert.strictEqual(testOptions.stderr.read(), null);
+      assert.strictEqual(result, 1);
+    });
+
+    it('reports missing required check as TODO', async () => {
+      fetchCiStatus.resolves([
+        makeCombinedStatus().data,
+        makeCheckRuns('success').data,
+        [{ context: 'mighty_readme' }, { context: 'deploy' }],
+      ]);
+      await hubCiStatus(undefined, { ...testOptions, required: 'main' });
+      assert.strictEqual(
+        testOptions.stdout.read().split(/^(?=not ok 2 )/m)[1],
+        'not ok 2 - deploy # TODO pending\n'
+        + '  ---\n'
+        + '  state: "pending"\n'
+        + '  ...\n',
+      );
+    });
+
+    it('reports minChecks shortfall as TODO', async () => {
+      fetchCiStatus.resolves([
+        makeCombinedStatus().data,
+        makeCheckRuns('success').data,
+      ]);
+      await hubCiStatus(undefined, { ...testOptions, minChecks: 2 });
+      assert.strictEqual(
+        testOptions.stdout.read().split(/^(?=not ok 2 )/m)[1],
+        'not ok 2 - 1 more statuses or checks # TODO pending\n'
+        + '  ---\n'
+        + '  state: "pending"\n'
+        + '  ...\n',
+      );
+    });
+
+    it('reports stuck check run as not ok', async () => {
+      fetchCiStatus.resolves([
+        makeCombinedStatus().data,
+        makeCheckRuns('queued').data,
+      ]);
+      await hubCiStatus(undefined, { ...testOptions, stuckAfterMs: 60000 });
+      assert.strictEqual(
+        testOptions.stdout.read().split('\n')[2],
+        'not ok 1 - mighty_readme',
+      );
+    });
+
+    it('escapes and omits empty diagnostics', async () => {
+      const combinedStatus = makeCombinedStatus('error').data;
+      fetchCiStatus.resolves([
+        {
+          ...combinedStatus,
+          statuses: combinedStatus.statuses.map((status) => ({
+            ...status,
+            context: 'a#b\\c\nd',
+            description: null,
+            target_url: '', // eslint-disable-line camelcase
+          })),
+        },
+        makeCheckRuns().data,
+      ]);
+      await hubCiStatus(undefined, testOptions);
+      assert.strictEqual(
+        testOptions.stdout.read(),
+        'TAP version 13\n'
+        + '1..1\n'
+        + 'not ok 1 - a\\#b\\\\c d\n'
+        + '  ---\n'
+        + '  state: "error"\n'
+        + '  ...\n',
+      );
+    });
+
+    it('prints empty plan if no checks or statuses', async () => {
+      fetchCiStatus.resolves([
+        makeCombinedStatus().data,
+        makeCheckRuns().data,
+      ]);
+      const result = await hubCiStatus(undefined, testOptions);
+      assert.strictEqual(testOptions.stdout.read(), 'TAP version 13\n1..0\n');
+      assert.strictEqual(result, 3);
+    });
+  });
+
   describe('with verbosity=-1', () => {
     beforeEach(() => { testOptions.verbosity = -1; });
 
@@ -223,24 +1085,78 @@ describe('hubCiStatus', () => {
         makeCheckRuns('success').data,
       ]);
       await hubCiStatus(undefined, testOptions);
-      assert.strictEqual(testOptions.stdout.read(), null);
-      assert.strictEqual(testOptions.stderr.read(), null);
+      assert.strictEqual(testOptions.stdout.read(), null);
+      assert.strictEqual(testOptions.stderr.read(), null);
+    });
+
+    it('does not print "no status"', async () => {
+      fetchCiStatus.resolves([
+        makeCombinedStatus().data,
+        makeCheckRuns().data,
+      ]);
+      const result = await hubCiStatus(undefined, testOptions);
+      assert.strictEqual(testOptions.stdout.read(), null);
+      assert.strictEqual(testOptions.stderr.read(), null);
+      assert.strictEqual(result, 3);
+    });
+  });
+
+  describe('with verbosity=1', () => {
+    beforeEach(() => { testOptions.verbosity = 1; });
+
+    it('omits superseded check runs', async () => {
+      fetchCiStatus.resolves([
+        makeCombinedStatus().data,
+        makeRerunCheckRuns(),
+      ]);
+      await hubCiStatus(undefined, testOptions);
+      assert.strictEqual(
+        testOptions.stdout.read(),
+        '✔︎\tmighty_readme\thttps://github.com/github/hello-world/runs/5\n',
+      );
     });
 
-    it('does not print "no status"', async () => {
+    it('prints superseded check runs with showSuperseded', async () => {
       fetchCiStatus.resolves([
         makeCombinedStatus().data,
-        makeCheckRuns().data,
+        makeRerunCheckRuns(),
       ]);
+      testOptions.showSuperseded = true;
       const result = await hubCiStatus(undefined, testOptions);
-      assert.strictEqual(testOptions.stdout.read(), null);
-      assert.strictEqual(testOptions.stderr.read(), null);
-      assert.strictEqual(result, 3);
+      assert.strictEqual(
+        testOptions.stdout.read(),
+        '✖︎\tmighty_readme (superseded)\t'
+        + 'https://github.com/github/hello-world/runs/4\n'
+        + '✔︎\tmighty_readme             \t'
+        + 'https://github.com/github/hello-world/runs/5\n',
+      );
+      assert.strictEqual(result, 0);
+      sinon.assert.calledOnceWithExactly(
+        fetchCiStatus,
+        matchOwnerRepoRef,
+        match({ includeSuperseded: true }),
+      );
     });
-  });
 
-  describe('with verbosity=1', () => {
-    beforeEach(() => { testOptions.verbosity = 1; });
+    it('prints stuck statuses as failed with showSuperseded', async () => {
+      fetchCiStatus.resolves([
+        makeCombinedStatus('pending').data,
+        makeRerunCheckRuns(),
+      ]);
+      testOptions.showSuperseded = true;
+      testOptions.stuckAfterMs = 1000;
+      const result = await hubCiStatus(undefined, testOptions);
+      assert.strictEqual(
+        testOptions.stdout.read(),
+        '✖︎\tcontinuous-integration/jenkins\t'
+        + 'https://ci.example.com/1000/output\n'
+        + '✖︎\tmighty_readme (superseded)    \t'
+        + 'https://github.com/github/hello-world/runs/4\n'
+        + '✔︎\tmighty_readme                 \t'
+        + 'https://github.com/github/hello-world/runs/5\n',
+      );
+      assert.strictEqual(result, 1);
+    });
 
     it('prints "no status" if no checks or statuses', async () => {
       fetchCiStatus.resolves([
@@ -421,3 +1337,678 @@ describe('hubCiStatus', () => {
     });
   });
 });
+
+describe('getCiStatus', () => {
+  const { getCiStatus } = hubCiStatus;
+
+  it('returns status without printing', async () => {
+    const combinedStatus = makeCombinedStatus('success').data;
+    const checksList = makeCheckRuns('queued', 'failure').data;
+    fetchCiStatus.resolves([combinedStatus, checksList]);
+    const result = await getCiStatus(undefined, testOptions);
+    assert.deepStrictEqual(result, {
+      owner: testOwner,
+      repo: testRepo,
+      sha: testRef,
+      state: 'failure',
+      exitCode: 1,
+      timedOut: false,
+      aborted: false,
+      statuses: [
+        combinedStatus.statuses[0],
+        /* eslint-disable camelcase */
+        {
+          state: 'pending',
+          context: 'mighty_readme',
+          target_url: 'https://github.com/github/hello-world/runs/4',
+        },
+        {
+          state: 'failure',
+          context: 'mighty_readme_2',
+          target_url: 'https://github.com/github/hello-world/runs/4',
+        },
+        /* eslint-enable camelcase */
+      ],
+      commitStatuses: combinedStatus.statuses,
+      checkRuns: checksList.check_runs,
+      missingContexts: [],
+      missingCount: 0,
+      stuckContexts: [],
+      combinedStatus,
+      checksList,
+    });
+    assert.strictEqual(testOptions.stdout.read(), null);
+    assert.strictEqual(testOptions.stderr.read(), null);
+
+    sinon.assert.calledOnceWithExactly(getProjectName, undefined);
+    sinon.assert.calledOnceWithExactly(resolveCommit, 'HEAD', undefined);
+    sinon.assert.calledOnceWithExactly(
+      fetchCiStatus,
+      matchOwnerRepoRef,
+      match({}),
+    );
+  });
+
+  it('omits superseded check runs', async () => {
+    const checksList = makeRerunCheckRuns();
+    fetchCiStatus.resolves([makeCombinedStatus().data, checksList]);
+    const result = await getCiStatus(undefined, testOptions);
+    assert.strictEqual(result.state, 'success');
+    assert.deepStrictEqual(result.checkRuns, [checksList.check_runs[1]]);
+    assert.strictEqual(result.checksList, checksList);
+  });
+
+  it('returns empty state and exitCode 3 if no statuses', async () => {
+    fetchCiStatus.resolves([
+      makeCombinedStatus().data,
+      makeCheckRuns().data,
+    ]);
+    const result = await getCiStatus('mybranch');
+    assert.strictEqual(result.state, '');
+    assert.strictEqual(result.exitCode, 3);
+    assert.deepStrictEqual(result.statuses, []);
+    sinon.assert.calledOnceWithExactly(resolveCommit, 'mybranch', undefined);
+  });
+
+  it('omits statuses and checks excluded by include/exclude', async () => {
+    fetchCiStatus.resolves([
+      makeCombinedStatus('failure', 'success').data,
+      makeCheckRuns('success', 'failure', 'pending').data,
+    ]);
+    const result = await getCiStatus(undefined, {
+      exclude: ['*_3'],
+      include: ['security/*', 'mighty_readme*'],
+    });
+    assert.deepStrictEqual(
+      result.statuses.map((status) => [status.context, status.state]),
+      [
+        ['security/brakeman', 'success'],
+        ['mighty_readme', 'success'],
+        ['mighty_readme_2', 'failure'],
+      ],
+    );
+    assert.strictEqual(result.state, 'failure');
+
+    const { contextFilter } = fetchCiStatus.firstCall.args[1];
+    assert.strictEqual(contextFilter('security/brakeman'), true);
+    assert.strictEqual(contextFilter('continuous-integration/jenkins'), false);
+    assert.strictEqual(contextFilter('mighty_readme_3'), false);
+  });
+
+  it('omits check run for excludeJob', async () => {
+    const checks = makeCheckRuns('success', 'pending');
+    const runUrl = 'https://github.com/owner/repo/actions/runs/123/job/4';
+    checks.data.check_runs[1] = {
+      ...checks.data.check_runs[1],
+      name: 'check',
+      html_url: runUrl, // eslint-disable-line camelcase
+      details_url: runUrl, // eslint-disable-line camelcase
+    };
+    fetchCiStatus.resolves([makeCombinedStatus().data, checks.data]);
+    const excludeJob = { job: 'check', runId: '123' };
+    const result = await getCiStatus(undefined, { excludeJob });
+    assert.deepStrictEqual(
+      result.statuses.map((status) => [status.context, status.state]),
+      [['mighty_readme', 'success']],
+    );
+    assert.strictEqual(result.state, 'success');
+    assert.strictEqual(fetchCiStatus.firstCall.args[1].excludeJob, excludeJob);
+  });
+
+  it('omits check run of excludeJob identified by runner', async () => {
+    const checks = makeCheckRuns('success', 'pending');
+    // Job with a name which differs from the job ID
+    checks.data.check_runs[1] = {
+      ...checks.data.check_runs[1],
+      name: 'Deploy gate',
+    };
+    fetchCiStatus.resolves([makeCombinedStatus().data, checks.data]);
+    fetchJobCheckRunId.resolves(checks.data.check_runs[1].id);
+    const excludeJob = {
+      job: 'check',
+      runId: '123',
+      repository: 'other/repo',
+      runnerName: 'GitHub Actions 4',
+    };
+    const octokit = {};
+    const result = await getCiStatus(undefined, { excludeJob, octokit });
+    assert.deepStrictEqual(
+      result.statuses.map((status) => [status.context, status.state]),
+      [['mighty_readme', 'success']],
+    );
+    assert.strictEqual(result.state, 'success');
+    sinon.assert.calledOnceWithExactly(
+      fetchJobCheckRunId,
+      { owner: 'other', repo: 'repo' },
+      excludeJob,
+      match({ octokit }),
+    );
+    assert.deepStrictEqual(
+      fetchCiStatus.firstCall.args[1].excludeJob,
+      { ...excludeJob, checkRunId: checks.data.check_runs[1].id },
+    );
+  });
+
+  it('matches excludeJob by job ID if check run can not be identified',
+    async () => {
+      const checks = makeCheckRuns('success', 'pending');
+      const runUrl = 'https://github.com/owner/repo/actions/runs/123/job/4';
+      checks.data.check_runs[1] = {
+        ...checks.data.check_runs[1],
+        name: 'check',
+        html_url: runUrl, // eslint-disable-line camelcase
+        details_url: runUrl, // eslint-disable-line camelcase
+      };
+      fetchCiStatus.resolves([makeCombinedStatus().data, checks.data]);
+      fetchJobCheckRunId.rejects(Object.assign(
+        new Error('Resource not accessible by integration'),
+        { status: 403 },
+      ));
+      const debug = sinon.stub();
+      const excludeJob = {
+        job: 'check',
+        runId: '123',
+        runnerName: 'GitHub Actions 4',
+      };
+      const result = await getCiStatus(undefined, { debug, excludeJob });
+      assert.strictEqual(result.state, 'success');
+      sinon.assert.calledOnceWithExactly(
+        fetchJobCheckRunId,
+        { owner: testOwner, repo: testRepo },
+        excludeJob,
+        match.object,
+      );
+      sinon.assert.calledOnceWithExactly(
+        debug,
+        'Unable to identify check run of current job '
+          + '(Resource not accessible by integration).  Matching by job ID.',
+      );
+      assert.strictEqual(
+        fetchCiStatus.firstCall.args[1].excludeJob,
+        excludeJob,
+      );
+    });
+
+  it('rejects with non-HTTP error identifying excludeJob check run',
+    async () => {
+      const typeError = new TypeError('listJobs is not a function');
+      fetchJobCheckRunId.rejects(typeError);
+      const excludeJob = {
+        job: 'check',
+        runId: '123',
+        runnerName: 'GitHub Actions 4',
+      };
+      await assert.rejects(
+        () => getCiStatus(undefined, { excludeJob }),
+        typeError,
+      );
+      sinon.assert.notCalled(fetchCiStatus);
+    });
+
+  it('calls onPoll with CI status after each poll', async () => {
+    const combinedStatus = makeCombinedStatus('pending').data;
+    const checksList = makeCheckRuns('success').data;
+    fetchCiStatus.callsFake(async (apiArgs, options) => {
+      options.onPoll([combinedStatus, checksList]);
+      return [combinedStatus, checksList];
+    });
+    const onPoll = sinon.stub();
+    const result = await getCiStatus(undefined, { onPoll, wait: {} });
+    assert.strictEqual(result.timedOut, true);
+    sinon.assert.calledOnce(onPoll);
+    assert.deepStrictEqual(onPoll.firstCall.args, [{
+      ...result,
+      exitCode: 2,
+      timedOut: false,
+    }]);
+  });
+
+  it('returns timedOut false without wait', async () => {
+    fetchCiStatus.resolves([
+      makeCombinedStatus('pending').data,
+      makeCheckRuns().data,
+    ]);
+    const result = await getCiStatus();
+    assert.strictEqual(result.state, 'pending');
+    assert.strictEqual(result.exitCode, 2);
+    assert.strictEqual(result.timedOut, false);
+  });
+
+  it('returns timedOut false if wait completed', async () => {
+    fetchCiStatus.resolves([
+      makeCombinedStatus('success').data,
+      makeCheckRuns('failure').data,
+    ]);
+    const result = await getCiStatus(undefined, { wait: {} });
+    assert.strictEqual(result.state, 'failure');
+    assert.strictEqual(result.exitCode, 1);
+    assert.strictEqual(result.timedOut, false);
+  });
+
+  it('returns timedOut and exitCode 4 if wait timed out', async () => {
+    fetchCiStatus.resolves([
+      makeCombinedStatus('pending').data,
+      makeCheckRuns().data,
+    ]);
+    const result = await getCiStatus(undefined, { wait: {} });
+    assert.strictEqual(result.state, 'pending');
+    assert.strictEqual(result.exitCode, 4);
+    assert.strictEqual(result.timedOut, true);
+  });
+
+  it('returns timedOut with failure exitCode for waitAll', async () => {
+    fetchCiStatus.resolves([
+      makeCombinedStatus('pending').data,
+      makeCheckRuns('failure').data,
+    ]);
+    const result = await getCiStatus(undefined, { wait: {}, waitAll: true });
+    assert.strictEqual(result.state, 'failure');
+    assert.strictEqual(result.exitCode, 1);
+    assert.strictEqual(result.timedOut, true);
+  });
+
+  it('returns timedOut false if no required checks', async () => {
+    resolveBranch.resolves('mybranch');
+    fetchCiStatus.resolves([
+      makeCombinedStatus('pending').data,
+      makeCheckRuns().data,
+      [],
+    ]);
+    const result = await getCiStatus(undefined, { required: true, wait: {} });
+    assert.strictEqual(result.state, '');
+    assert.strictEqual(result.exitCode, 3);
+    assert.strictEqual(result.timedOut, false);
+  });
+
+  it('considers all statuses if branch has no required checks', async () => {
+    resolveBranch.resolves('mybranch');
+    fetchCiStatus.resolves([
+      makeCombinedStatus('pending').data,
+      makeCheckRuns('success').data,
+      undefined,
+    ]);
+    const result = await getCiStatus(undefined, { required: true, wait: {} });
+    assert.strictEqual(result.statuses.length, 2);
+    assert.strictEqual(result.state, 'pending');
+    assert.strictEqual(result.exitCode, 4);
+    assert.strictEqual(result.timedOut, true);
+  });
+
+  it('returns statuses and check runs pending past stuckAfterMs', async () => {
+    const combinedStatus = makeCombinedStatus('pending', 'success').data;
+    const checksList = makeCheckRuns('success', 'in_progress').data;
+    fetchCiStatus.resolves([combinedStatus, checksList]);
+    // Status and check run in fixture were created/started years ago
+    const result = await getCiStatus(undefined, { stuckAfterMs: 1000 });
+    assert.deepStrictEqual(
+      result.statuses.map((status) => [status.context, status.state]),
+      [
+        ['continuous-integration/jenkins', 'timed_out'],
+        ['security/brakeman', 'success'],
+        ['mighty_readme', 'success'],
+        ['mighty_readme_2', 'timed_out'],
+      ],
+    );
+    assert.deepStrictEqual(
+      result.stuckContexts,
+      ['continuous-integration/jenkins', 'mighty_readme_2'],
+    );
+    assert.strictEqual(result.state, 'timed_out');
+    assert.strictEqual(result.exitCode, 1);
+    assert.deepStrictEqual(result.commitStatuses, combinedStatus.statuses);
+  });
+
+  it('determines stuck statuses using wait.now', async () => {
+    fetchCiStatus.resolves([
+      makeCombinedStatus().data,
+      makeCheckRuns('queued').data,
+    ]);
+    // 30 seconds after check run started
+    const now = sinon.stub().returns(Date.parse('2018-05-04T01:15:22Z'));
+    const result = await getCiStatus(undefined, {
+      stuckAfterMs: 60000,
+      wait: { now },
+    });
+    assert.strictEqual(result.state, 'pending');
+    assert.deepStrictEqual(result.stuckContexts, []);
+  });
+
+  it('passes branch of rev to fetchCiStatus if required is true', async () => {
+    resolveBranch.resolves('mybranch');
+    fetchCiStatus.resolves([
+      makeCombinedStatus().data,
+      makeCheckRuns().data,
+      [],
+    ]);
+    const gitOptions = { cwd: 'test' };
+    await getCiStatus('myrev', { gitOptions, required: true });
+    sinon.assert.calledOnceWithExactly(resolveBranch, 'myrev', gitOptions);
+    sinon.assert.calledOnceWithExactly(
+      fetchCiStatus,
+      matchOwnerRepoRef,
+      match({ requiredBranch: 'mybranch' }),
+    );
+  });
+
+  it('passes required branch name to fetchCiStatus', async () => {
+    fetchCiStatus.resolves([
+      makeCombinedStatus().data,
+      makeCheckRuns().data,
+      [],
+    ]);
+    await getCiStatus(undefined, { required: 'main' });
+    sinon.assert.notCalled(resolveBranch);
+    sinon.assert.calledOnceWithExactly(
+      fetchCiStatus,
+      matchOwnerRepoRef,
+      match({ requiredBranch: 'main' }),
+    );
+  });
+
+  it('does not pass requiredBranch by default', async () => {
+    fetchCiStatus.resolves([
+      makeCombinedStatus().data,
+      makeCheckRuns().data,
+    ]);
+    await getCiStatus(undefined, { required: false });
+    sinon.assert.notCalled(resolveBranch);
+    const fetchOptions = fetchCiStatus.firstCall.args[1];
+    assert.strictEqual(fetchOptions.requiredBranch, undefined);
+  });
+
+  it('considers only required checks, missing as pending', async () => {
+    fetchCiStatus.resolves([
+      makeCombinedStatus('success', 'failure').data,
+      makeCheckRuns('success', 'failure').data,
+      [
+        { context: 'continuous-integration/jenkins' },
+        { context: 'mighty_readme' },
+        { context: 'deploy' },
+      ],
+    ]);
+    const result = await getCiStatus(undefined, { required: 'main' });
+    assert.deepStrictEqual(
+      result.statuses.map((status) => [status.context, status.state]),
+      [
+        ['continuous-integration/jenkins', 'success'],
+        ['mighty_readme', 'success'],
+        ['deploy', 'pending'],
+      ],
+    );
+    assert.deepStrictEqual(result.missingContexts, ['deploy']);
+    assert.strictEqual(result.state, 'pending');
+    assert.strictEqual(result.exitCode, 2);
+  });
+
+  it('passes expect and minChecks to fetchCiStatus', async () => {
+    fetchCiStatus.resolves([
+      makeCombinedStatus().data,
+      makeCheckRuns().data,
+    ]);
+    const expect = ['ci/*'];
+    await getCiStatus(undefined, { expect, minChecks: 2 });
+    sinon.assert.calledOnceWithExactly(
+      fetchCiStatus,
+      matchOwnerRepoRef,
+      match({ expect, minChecks: 2 }),
+    );
+  });
+
+  it('returns pending status for missing expected context', async () => {
+    fetchCiStatus.resolves([
+      makeCombinedStatus('success').data,
+      makeCheckRuns('success').data,
+    ]);
+    const result = await getCiStatus(undefined, {
+      expect: ['mighty_*', 'deploy*'],
+    });
+    assert.deepStrictEqual(
+      result.statuses.map((status) => [status.context, status.state]),
+      [
+        ['continuous-integration/jenkins', 'success'],
+        ['mighty_readme', 'success'],
+        ['deploy*', 'pending'],
+      ],
+    );
+    assert.deepStrictEqual(result.missingContexts, ['deploy*']);
+    assert.strictEqual(result.state, 'pending');
+    assert.strictEqual(result.exitCode, 2);
+  });
+
+  it('returns pending state if fewer than minChecks', async () => {
+    fetchCiStatus.resolves([
+      makeCombinedStatus('success').data,
+      makeCheckRuns('success').data,
+    ]);
+    const result = await getCiStatus(undefined, { minChecks: 3 });
+    assert.strictEqual(result.statuses.length, 2);
+    assert.strictEqual(result.missingCount, 1);
+    assert.strictEqual(result.state, 'pending');
+    assert.strictEqual(result.exitCode, 2);
+  });
+
+  it('returns failure state if fewer than minChecks', async () => {
+    fetchCiStatus.resolves([
+      makeCombinedStatus('failure').data,
+      makeCheckRuns().data,
+    ]);
+    const result = await getCiStatus(undefined, { minChecks: 3 });
+    assert.strictEqual(result.state, 'failure');
+    assert.strictEqual(result.exitCode, 1);
+  });
+
+  it('does not pass contextFilter without include/exclude', async () => {
+    fetchCiStatus.resolves([
+      makeCombinedStatus().data,
+      makeCheckRuns().data,
+    ]);
+    await getCiStatus(undefined, { exclude: [], include: [] });
+    const fetchOptions = fetchCiStatus.firstCall.args[1];
+    assert.strictEqual(fetchOptions.contextFilter, undefined);
+  });
+
+  it('passes options to fetchCiStatus', async () => {
+    const debug = sinon.stub();
+    const octokit = {};
+    const octokitOptions = {};
+    const wait = { maxTotalMs: 1000 };
+    fetchCiStatus.resolves([
+      makeCombinedStatus('success').data,
+      makeCheckRuns().data,
+    ]);
+    await getCiStatus(undefined, {
+      debug,
+      octokit,
+      octokitOptions,
+      wait,
+      waitAll: true,
+    });
+    sinon.assert.calledOnceWithExactly(
+      fetchCiStatus,
+      matchOwnerRepoRef,
+      match({
+        debug,
+        octokit,
+        octokitOptions,
+        retry: wait,
+        waitAll: true,
+      }),
+    );
+  });
+
+  it('passes gitOptions to git functions', async () => {
+    const gitOptions = { cwd: 'test' };
+    fetchCiStatus.resolves([
+      makeCombinedStatus('success').data,
+      makeCheckRuns().data,
+    ]);
+    await getCiStatus(undefined, { gitOptions });
+    sinon.assert.calledOnceWithExactly(getProjectName, gitOptions);
+    sinon.assert.calledOnceWithExactly(resolveCommit, 'HEAD', gitOptions);
+  });
+
+  it('passes signal to fetchCiStatus and git functions', async () => {
+    const gitOptions = { cwd: 'test' };
+    const { signal } = new AbortController();
+    fetchCiStatus.resolves([
+      makeCombinedStatus('success').data,
+      makeCheckRuns().data,
+    ]);
+    await getCiStatus(undefined, { gitOptions, signal });
+    const gitOptionsWithSignal = { ...gitOptions, signal };
+    sinon.assert.calledOnceWithExactly(getProjectName, gitOptionsWithSignal);
+    sinon.assert.calledOnceWithExactly(
+      resolveCommit,
+      'HEAD',
+      gitOptionsWithSignal,
+    );
+    sinon.assert.calledOnceWithExactly(
+      fetchCiStatus,
+      matchOwnerRepoRef,
+      match({ signal }),
+    );
+  });
+
+  it('returns last poll with aborted true if aborted', async () => {
+    const abortController = new AbortController();
+    const pending = [
+      makeCombinedStatus('pending').data,
+      makeCheckRuns('success').data,
+    ];
+    fetchCiStatus.callsFake(async (apiArgs, options) => {
+      options.onPoll(pending);
+      abortController.abort();
+      throw new AbortError();
+    });
+    const result = await getCiStatus(undefined, {
+      signal: abortController.signal,
+      wait: {},
+    });
+    assert.strictEqual(result.state, 'pending');
+    assert.strictEqual(result.aborted, true);
+    assert.strictEqual(result.timedOut, true);
+    assert.strictEqual(result.exitCode, 130);
+  });
+
+  it('returns failure exit code if aborted after failure', async () => {
+    const abortController = new AbortController();
+    const failed = [
+      makeCombinedStatus('pending', 'failure').data,
+      makeCheckRuns('success').data,
+    ];
+    fetchCiStatus.callsFake(async (apiArgs, options) => {
+      options.onPoll(failed);
+      abortController.abort();
+      throw new AbortError();
+    });
+    const result = await getCiStatus(undefined, {
+      signal: abortController.signal,
+      wait: {},
+      waitAll: true,
+    });
+    assert.strictEqual(result.state, 'failure');
+    assert.strictEqual(result.aborted, true);
+    assert.strictEqual(result.exitCode, 1);
+  });
+
+  it('rejects with AbortError if aborted before first poll', async () => {
+    const abortController = new AbortController();
+    const abortError = new AbortError();
+    fetchCiStatus.callsFake(async () => {
+      abortController.abort();
+      throw abortError;
+    });
+    await assert.rejects(
+      () => getCiStatus(undefined, {
+        signal: abortController.signal,
+        wait: {},
+      }),
+      abortError,
+    );
+  });
+});
+
+function recordEvents(emitter) {
+  const events = [];
+  for (const name of ['checkStart', 'checkComplete', 'stateChange']) {
+    emitter.on(name, (...args) => events.push([name, ...args]));
+  }
+  emitter.on('poll', (ciStatus) => events.push(['poll', ciStatus.state]));
+  return events;
+}
+
+describe('watchCiStatus', () => {
+  const { watchCiStatus } = hubCiStatus;
+
+  it('emits events for changes after each poll', async () => {
+    const pending = [
+      makeCombinedStatus('pending').data,
+      makeCheckRuns('success', 'queued').data,
+    ];
+    const done = [
+      makeCombinedStatus('success').data,
+      makeCheckRuns('success', 'failure').data,
+    ];
+    fetchCiStatus.callsFake(async (apiArgs, options) => {
+      options.onPoll(pending);
+      options.onPoll(done);
+      return done;
+    });
+    const emitter = watchCiStatus();
+    const events = recordEvents(emitter);
+    const [ciStatus] = await once(emitter, 'end');
+    assert.strictEqual(ciStatus.state, 'failure');
+    assert.strictEqual(ciStatus.exitCode, 1);
+
+    const jenkins = 'continuous-integration/jenkins';
+    const contextStates = events.map(([name, ...args]) => [
+      name,
+      ...args.map((arg) => (arg && typeof arg === 'object'
+        ? `${arg.context}:${arg.state}`
+        : arg)),
+    ]);
+    assert.deepStrictEqual(contextStates, [
+      ['checkStart', `${jenkins}:pending`, undefined],
+      ['checkComplete', 'mighty_readme:success', undefined],
+      ['checkStart', 'mighty_readme_2:pending', undefined],
+      ['stateChange', 'pending', undefined],
+      ['poll', 'pending'],
+      ['checkComplete', `${jenkins}:success`, `${jenkins}:pending`],
+      [
+        'checkComplete',
+        'mighty_readme_2:failure',
+        'mighty_readme_2:pending',
+      ],
+      ['stateChange', 'failure', 'pending'],
+      ['poll', 'failure'],
+    ]);
+  });
+
+  it('waits by default and calls onPoll', async () => {
+    const result = [
+      makeCombinedStatus('success').data,
+      makeCheckRuns().data,
+    ];
+    fetchCiStatus.callsFake(async (apiArgs, options) => {
+      options.onPoll(result);
+      return result;
+    });
+    const onPoll = sinon.stub();
+    const emitter = watchCiStatus('mybranch', { onPoll });
+    await once(emitter, 'end');
+    sinon.assert.calledOnceWithExactly(resolveCommit, 'mybranch', undefined);
+    sinon.assert.calledOnceWithExactly(
+      fetchCiStatus,
+      matchOwnerRepoRef,
+      match({ retry: {} }),
+    );
+    sinon.assert.calledOnceWithExactly(onPoll, match({ state: 'success' }));
+  });
+
+  it('emits error if getCiStatus rejects', async () => {
+    const errTest = new Error('test');
+    fetchCiStatus.rejects(errTest);
+    const emitter = watchCiStatus();
+    await assert.rejects(() => once(emitter, 'end'), errTest);
+  });
+});
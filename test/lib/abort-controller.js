@@ -0,0 +1,52 @@
+/**
+ * @copyright Copyright 2021 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const assert = require('assert');
+const sinon = require('sinon');
+
+const AbortController = require('../../lib/abort-controller.js');
+
+describe('AbortController', () => {
+  it('has signal which is not aborted', () => {
+    const { signal } = new AbortController();
+    assert.strictEqual(signal.aborted, false);
+  });
+
+  it('has signal named AbortSignal, as required by node-fetch', () => {
+    const { signal } = new AbortController();
+    assert.strictEqual(
+      Object.getPrototypeOf(signal).constructor.name,
+      'AbortSignal',
+    );
+  });
+
+  it('aborts signal and calls abort listeners once', () => {
+    const abortController = new AbortController();
+    const { signal } = abortController;
+    const listener = sinon.stub();
+    const otherListener = sinon.stub();
+    signal.addEventListener('abort', listener);
+    signal.addEventListener('other', otherListener);
+    abortController.abort();
+    abortController.abort();
+    assert.strictEqual(signal.aborted, true);
+    sinon.assert.calledOnceWithExactly(listener, { type: 'abort' });
+    sinon.assert.calledOn(listener, signal);
+    sinon.assert.notCalled(otherListener);
+  });
+
+  it('does not call removed abort listeners', () => {
+    const abortController = new AbortController();
+    const { signal } = abortController;
+    const listener = sinon.stub();
+    signal.addEventListener('abort', listener);
+    signal.removeEventListener('abort', listener);
+    abortController.abort();
+    assert.strictEqual(signal.aborted, true);
+    sinon.assert.notCalled(listener);
+  });
+});
@@ -0,0 +1,52 @@
+/**
+ * @copyright Copyright 2021 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const assert = require('assert');
+
+const AbortError = require('../../lib/abort-error.js');
+const AbortController = require('../../test-lib/abort-controller.js');
+
+describe('AbortError', () => {
+  it('has name AbortError and code ABORT_ERR', () => {
+    const err = new AbortError();
+    assert(err instanceof Error);
+    assert.strictEqual(err.name, 'AbortError');
+    assert.strictEqual(err.code, 'ABORT_ERR');
+  });
+
+  describe('.fromSignal', () => {
+    it('returns err if signal is undefined', () => {
+      const err = new Error('test');
+      assert.strictEqual(AbortError.fromSignal(err), err);
+    });
+
+    it('returns err if signal is not aborted', () => {
+      const err = new Error('test');
+      const { signal } = new AbortController();
+      assert.strictEqual(AbortError.fromSignal(err, signal), err);
+    });
+
+    it('returns AbortError if signal is aborted', () => {
+      const err = Object.assign(new Error('aborted'), { status: 500 });
+      const abortController = new AbortController();
+      abortController.abort();
+      const result = AbortError.fromSignal(err, abortController.signal);
+      assert(result instanceof AbortError);
+    });
+
+    it('returns err if it is an AbortError', () => {
+      const err = new Error('aborted');
+      err.name = 'AbortError';
+      const abortController = new AbortController();
+      abortController.abort();
+      assert.strictEqual(
+        AbortError.fromSignal(err, abortController.signal),
+        err,
+      );
+    });
+  });
+});
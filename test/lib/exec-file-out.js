@@ -8,6 +8,7 @@
 const assert = require('assert');
 
 const execFileOut = require('../../lib/exec-file-out.js');
+const AbortController = require('../../test-lib/abort-controller.js');
 
 function neverCalled() {
   throw new Error('Should not be called');
@@ -143,4 +144,39 @@ describe('execFileOut', () => {
   // Note: use node (i.e. process.execPath) to test, since it will not exit
   // until it reaches the end of stdin.
   it('closes stdin to prevent hanging', () => execFileOut(process.execPath));
+
+  it('rejects with AbortError without running if aborted', async () => {
+    const abortController = new AbortController();
+    abortController.abort();
+    await assert.rejects(
+      () => execFileOut(
+        process.execPath,
+        ['-e', makeScript('stdout content')],
+        { signal: abortController.signal },
+      ),
+      { name: 'AbortError' },
+    );
+  });
+
+  it('kills child and rejects with AbortError when aborted', async () => {
+    const abortController = new AbortController();
+    const result = execFileOut(
+      process.execPath,
+      ['-e', 'setTimeout(() => {}, 60000)'],
+      { signal: abortController.signal },
+    );
+    abortController.abort();
+    await assert.rejects(() => result, { name: 'AbortError' });
+  });
+
+  it('resolves with stdout if not aborted', async () => {
+    const testOut = 'stdout content';
+    const abortController = new AbortController();
+    const stdout = await execFileOut(
+      process.execPath,
+      ['-e', makeScript(testOut)],
+      { signal: abortController.signal },
+    );
+    assert.strictEqual(stdout, testOut);
+  });
 });
@@ -0,0 +1,102 @@
+/**
+ * @copyright Copyright 2021 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const assert = require('assert');
+
+const expandFormat = require('../../lib/expand-format.js');
+
+describe('expandFormat', () => {
+  it('returns format without placeholders unchanged', () => {
+    assert.strictEqual(expandFormat('test', {}), 'test');
+  });
+
+  it('expands one letter placeholders', () => {
+    assert.strictEqual(
+      expandFormat('%a: %b', { a: 'foo', b: 'bar' }),
+      'foo: bar',
+    );
+  });
+
+  it('prefers two letter placeholders', () => {
+    assert.strictEqual(
+      expandFormat('%ab', { a: 'foo', ab: 'bar' }),
+      'bar',
+    );
+  });
+
+  it('expands one letter placeholder before letter', () => {
+    assert.strictEqual(
+      expandFormat('%ab', { a: 'foo', bc: 'bar' }),
+      'foob',
+    );
+  });
+
+  it('does not expand inherited properties', () => {
+    assert.strictEqual(
+      expandFormat('%a', Object.create({ a: 'foo' })),
+      '%a',
+    );
+  });
+
+  it('expands %n to newline', () => {
+    assert.strictEqual(expandFormat('a%nb', {}), 'a\nb');
+  });
+
+  it('expands %% to %', () => {
+    assert.strictEqual(expandFormat('%%a', { a: 'foo' }), '%a');
+  });
+
+  it('leaves unrecognized placeholders', () => {
+    assert.strictEqual(expandFormat('%a%b', { b: 'bar' }), '%abar');
+  });
+
+  it('leaves trailing %', () => {
+    assert.strictEqual(expandFormat('a%', {}), 'a%');
+  });
+
+  it('removes color placeholders without useColor', () => {
+    assert.strictEqual(
+      expandFormat('%Cred%a%Creset%C(bold blue)', { a: 'foo' }),
+      'foo',
+    );
+  });
+
+  it('expands color placeholders with useColor', () => {
+    assert.strictEqual(
+      expandFormat('%Cred%Cgreen%Cblue%Creset', {}, true),
+      '\u001B[31m\u001B[32m\u001B[34m\u001B[0m',
+    );
+  });
+
+  it('expands %C() with foreground, background, and attributes', () => {
+    assert.strictEqual(
+      expandFormat('%C(bold yellow blue)', {}, true),
+      '\u001B[1;33;44m',
+    );
+  });
+
+  it('expands %C() with normal foreground', () => {
+    assert.strictEqual(
+      expandFormat('%C(normal red)', {}, true),
+      '\u001B[41m',
+    );
+  });
+
+  it('leaves unrecognized %C()', () => {
+    assert.strictEqual(
+      expandFormat('%C(purple)', {}, true),
+      '%C(purple)',
+    );
+  });
+
+  it('leaves %C() with more than two colors', () => {
+    assert.strictEqual(
+      expandFormat('%C(red green blue)', {}, true),
+      '%C(red green blue)',
+    );
+  });
+});
@@ -14,6 +14,7 @@ const { promisify } = require('util');
 
 const fetchCiStatus = require('../../lib/fetch-ci-status.js');
 const packageJson = require('../../package.json');
+const AbortController = require('../../test-lib/abort-controller.js');
 const { makeCheckRuns, makeCombinedStatus } =
   require('../../test-lib/api-responses.js');
 
@@ -28,16 +29,72 @@ const timeOptions = {
   setTimeout: promisify(clock.setTimeout),
 };
 
+// ETag of mock API responses
+const testEtag = makeCombinedStatus().headers.etag;
+
+// Assert first request is unconditional, retries use ETag of previous
+function assertCalledConditionally(stub, args) {
+  sinon.assert.calledWithExactly(stub.firstCall, args);
+  for (const call of stub.getCalls().slice(1)) {
+    sinon.assert.calledWithExactly(call, {
+      ...args,
+      headers: { 'if-none-match': testEtag },
+    });
+  }
+}
+
 function neverCalled() {
   throw new Error('should not be called');
 }
 
+function makeRequestError(status, headers, message = 'Forbidden') {
+  return Object.assign(new Error(message), {
+    status,
+    response: { headers },
+  });
+}
+
 const apiArgs = {
   owner: 'owner',
   repo: 'repo',
   ref: 'ref',
 };
 
+function withTotalCount(response, totalCount) {
+  return {
+    ...response,
+    data: {
+      ...response.data,
+      total_count: totalCount, // eslint-disable-line camelcase
+    },
+  };
+}
+
+function checkRunsPage(checks, start, end) {
+  return {
+    ...checks,
+    data: {
+      ...checks.data,
+      // eslint-disable-next-line camelcase
+      check_runs: checks.data.check_runs.slice(start, end),
+    },
+  };
+}
+
+function makeBranch(requiredStatusChecks) {
+  return {
+    data: {
+      name: 'main',
+      protected: true,
+      protection: {
+        enabled: true,
+        // eslint-disable-next-line camelcase
+        required_status_checks: requiredStatusChecks,
+      },
+    },
+  };
+}
+
 describe('fetchCiStatus', () => {
   beforeEach(() => clock.reset());
 
@@ -58,9 +115,969 @@ describe('fetchCiStatus', () => {
     assert.deepStrictEqual(result, [status.data, checks.data]);
   });
 
-  it('does not retry on both success', async () => {
-    const status = makeCombinedStatus('success');
-    const getCombinedStatusForRef = sinon.stub().resolves(status);
+  it('requests superseded check runs with includeSuperseded', async () => {
+    const status = makeCombinedStatus('success');
+    const getCombinedStatusForRef = sinon.stub().resolves(status);
+    const checks = makeCheckRuns('success');
+    const listForRef = sinon.stub().resolves(checks);
+    const options = {
+      includeSuperseded: true,
+      octokit: {
+        checks: { listForRef },
+        repos: { getCombinedStatusForRef },
+      },
+    };
+    const result = await fetchCiStatus(apiArgs, options);
+    sinon.assert.calledOnceWithExactly(getCombinedStatusForRef, apiArgs);
+    sinon.assert.calledOnceWithExactly(
+      listForRef,
+      { ...apiArgs, filter: 'all' },
+    );
+    assert.deepStrictEqual(result, [status.data, checks.data]);
+  });
+
+  it('does not retry on both success', async () => {
+    const status = makeCombinedStatus('success');
+    const getCombinedStatusForRef = sinon.stub().resolves(status);
+    const checks = makeCheckRuns('success');
+    const listForRef = sinon.stub().resolves(checks);
+    const options = {
+      octokit: {
+        checks: { listForRef },
+        repos: { getCombinedStatusForRef },
+      },
+      retry: {
+        setTimeout: neverCalled,
+      },
+    };
+    const result = await fetchCiStatus(apiArgs, options);
+    sinon.assert.calledOnceWithExactly(getCombinedStatusForRef, apiArgs);
+    sinon.assert.calledOnceWithExactly(listForRef, apiArgs);
+    assert.deepStrictEqual(result, [status.data, checks.data]);
+  });
+
+  it('does not retry on both failure', async () => {
+    const status = makeCombinedStatus('failure');
+    const getCombinedStatusForRef = sinon.stub().resolves(status);
+    const checks = makeCheckRuns('failure');
+    const listForRef = sinon.stub().resolves(checks);
+    const options = {
+      octokit: {
+        checks: { listForRef },
+        repos: { getCombinedStatusForRef },
+      },
+      retry: {
+        setTimeout: neverCalled,
+      },
+    };
+    const result = await fetchCiStatus(apiArgs, options);
+    sinon.assert.calledOnceWithExactly(getCombinedStatusForRef, apiArgs);
+    sinon.assert.calledOnceWithExactly(listForRef, apiArgs);
+    assert.deepStrictEqual(result, [status.data, checks.data]);
+  });
+
+  it('does not retry on both unknown', async () => {
+    const status = makeCombinedStatus('test123');
+    const getCombinedStatusForRef = sinon.stub().resolves(status);
+    const checks = makeCheckRuns('test123');
+    const listForRef = sinon.stub().resolves(checks);
+    const options = {
+      octokit: {
+        checks: { listForRef },
+        repos: { getCombinedStatusForRef },
+      },
+      retry: {
+        setTimeout: neverCalled,
+      },
+    };
+    const result = await fetchCiStatus(apiArgs, options);
+    sinon.assert.calledOnceWithExactly(getCombinedStatusForRef, apiArgs);
+    sinon.assert.calledOnceWithExactly(listForRef, apiArgs);
+    assert.deepStrictEqual(result, [status.data, checks.data]);
+  });
+
+  it('retries on pending/queued up to maxTotalMs', async () => {
+    const status = makeCombinedStatus('pending');
+    const getCombinedStatusForRef = sinon.stub().resolves(status);
+    const checks = makeCheckRuns('queued');
+    const listForRef = sinon.stub().resolves(checks);
+    const waitMs = 4000;
+    const options = {
+      octokit: {
+        checks: { listForRef },
+        repos: { getCombinedStatusForRef },
+      },
+      retry: {
+        ...timeOptions,
+        maxTotalMs: waitMs,
+      },
+    };
+    const result = fetchCiStatus(apiArgs, options);
+    await setImmediateP();
+
+    clock.tick(waitMs);
+    assert.deepStrictEqual(await result, [status.data, checks.data]);
+    assertCalledConditionally(getCombinedStatusForRef, apiArgs);
+    assertCalledConditionally(listForRef, apiArgs);
+    sinon.assert.calledTwice(getCombinedStatusForRef);
+    sinon.assert.calledTwice(listForRef);
+  });
+
+  it('retries on pending/in_progress up to maxTotalMs', async () => {
+    const status = makeCombinedStatus('pending');
+    const getCombinedStatusForRef = sinon.stub().resolves(status);
+    const checks = makeCheckRuns('in_progress');
+    const listForRef = sinon.stub().resolves(checks);
+    const waitMs = 4000;
+    const options = {
+      octokit: {
+        checks: { listForRef },
+        repos: { getCombinedStatusForRef },
+      },
+      retry: {
+        ...timeOptions,
+        maxTotalMs: waitMs,
+      },
+    };
+    const result = fetchCiStatus(apiArgs, options);
+    await setImmediateP();
+
+    clock.tick(waitMs);
+    assert.deepStrictEqual(await result, [status.data, checks.data]);
+    assertCalledConditionally(getCombinedStatusForRef, apiArgs);
+    assertCalledConditionally(listForRef, apiArgs);
+    sinon.assert.calledTwice(getCombinedStatusForRef);
+    sinon.assert.calledTwice(listForRef);
+  });
+
+  it('retries on pending/success up to maxTotalMs', async () => {
+    const status = makeCombinedStatus('pending');
+    const getCombinedStatusForRef = sinon.stub().resolves(status);
+    const checks = makeCheckRuns('success');
+    const listForRef = sinon.stub().resolves(checks);
+    const waitMs = 4000;
+    const options = {
+      octokit: {
+        checks: { listForRef },
+        repos: { getCombinedStatusForRef },
+      },
+      retry: {
+        ...timeOptions,
+        maxTotalMs: waitMs,
+      },
+    };
+    const result = fetchCiStatus(apiArgs, options);
+    await setImmediateP();
+
+    clock.tick(waitMs);
+    assert.deepStrictEqual(await result, [status.data, checks.data]);
+    assertCalledConditionally(getCombinedStatusForRef, apiArgs);
+    assertCalledConditionally(listForRef, apiArgs);
+    sinon.assert.calledTwice(getCombinedStatusForRef);
+    sinon.assert.calledTwice(listForRef);
+  });
+
+  it('retries on success/queued up to maxTotalMs', async () => {
+    const status = makeCombinedStatus('success');
+    const getCombinedStatusForRef = sinon.stub().resolves(status);
+    const checks = makeCheckRuns('queued');
+    const listForRef = sinon.stub().resolves(checks);
+    const waitMs = 4000;
+    const options = {
+      octokit: {
+        checks: { listForRef },
+        repos: { getCombinedStatusForRef },
+      },
+      retry: {
+        ...timeOptions,
+        maxTotalMs: waitMs,
+      },
+    };
+    const result = fetchCiStatus(apiArgs, options);
+    await setImmediateP();
+
+    clock.tick(waitMs);
+    assert.deepStrictEqual(await result, [status.data, checks.data]);
+    assertCalledConditionally(getCombinedStatusForRef, apiArgs);
+    assertCalledConditionally(listForRef, apiArgs);
+    sinon.assert.calledTwice(getCombinedStatusForRef);
+    sinon.assert.calledTwice(listForRef);
+  });
+
+  it('retries on pending/skipped up to maxTotalMs', async () => {
+    const status = makeCombinedStatus('pending');
+    const getCombinedStatusForRef = sinon.stub().resolves(status);
+    const checks = makeCheckRuns('skipped');
+    const listForRef = sinon.stub().resolves(checks);
+    const waitMs = 4000;
+    const options = {
+      octokit: {
+        checks: { listForRef },
+        repos: { getCombinedStatusForRef },
+      },
+      retry: {
+        ...timeOptions,
+        maxTotalMs: waitMs,
+      },
+    };
+    const result = fetchCiStatus(apiArgs, options);
+    await setImmediateP();
+
+    clock.tick(waitMs);
+    assert.deepStrictEqual(await result, [status.data, checks.data]);
+    sinon.assert.calledTwice(getCombinedStatusForRef);
+    sinon.assert.calledTwice(listForRef);
+  });
+
+  it('does not retry on pending/stale, by default', async () => {
+    const status = makeCombinedStatus('pending');
+    const getCombinedStatusForRef = sinon.stub().resolves(status);
+    const checks = makeCheckRuns('stale');
+    const listForRef = sinon.stub().resolves(checks);
+    const options = {
+      octokit: {
+        checks: { listForRef },
+        repos: { getCombinedStatusForRef },
+      },
+      retry: {
+        setTimeout: neverCalled,
+      },
+    };
+    const result = await fetchCiStatus(apiArgs, options);
+    sinon.assert.calledOnceWithExactly(getCombinedStatusForRef, apiArgs);
+    sinon.assert.calledOnceWithExactly(listForRef, apiArgs);
+    assert.deepStrictEqual(result, [status.data, checks.data]);
+  });
+
+  it('retries on failure superseded by queued re-run', async () => {
+    const status = makeCombinedStatus();
+    const getCombinedStatusForRef = sinon.stub().resolves(status);
+    const checks = makeCheckRuns('failure', 'queued');
+    const [failedRun, rerun] = checks.data.check_runs;
+    rerun.name = failedRun.name;
+    const listForRef = sinon.stub().resolves(checks);
+    const waitMs = 4000;
+    const options = {
+      octokit: {
+        checks: { listForRef },
+        repos: { getCombinedStatusForRef },
+      },
+      retry: {
+        ...timeOptions,
+        maxTotalMs: waitMs,
+      },
+    };
+    const result = fetchCiStatus(apiArgs, options);
+    await setImmediateP();
+
+    clock.tick(waitMs);
+    assert.deepStrictEqual(await result, [status.data, checks.data]);
+    sinon.assert.calledTwice(getCombinedStatusForRef);
+    sinon.assert.calledTwice(listForRef);
+  });
+
+  it('does not retry on pending status excluded by contextFilter', async () => {
+    const status = makeCombinedStatus('pending');
+    const getCombinedStatusForRef = sinon.stub().resolves(status);
+    const checks = makeCheckRuns('success');
+    const listForRef = sinon.stub().resolves(checks);
+    const contextFilter = sinon.stub().returns(true);
+    contextFilter.withArgs('continuous-integration/jenkins').returns(false);
+    const options = {
+      contextFilter,
+      octokit: {
+        checks: { listForRef },
+        repos: { getCombinedStatusForRef },
+      },
+      retry: {
+        setTimeout: neverCalled,
+      },
+    };
+    const result = await fetchCiStatus(apiArgs, options);
+    sinon.assert.calledOnceWithExactly(getCombinedStatusForRef, apiArgs);
+    sinon.assert.calledOnceWithExactly(listForRef, apiArgs);
+    assert.deepStrictEqual(result, [status.data, checks.data]);
+  });
+
+  it('uses previous response for 304 Not Modified', async () => {
+    const status = makeCombinedStatus('pending');
+    const getCombinedStatusForRef = sinon.stub();
+    getCombinedStatusForRef.onCall(0).resolves(status);
+    getCombinedStatusForRef.onCall(1).rejects(
+      Object.assign(new Error('Not Modified'), { status: 304 }),
+    );
+    const checks = makeCheckRuns('queued');
+    const listForRef = sinon.stub();
+    listForRef.onCall(0).resolves(checks);
+    listForRef.onCall(1).rejects(
+      Object.assign(new Error('Not Modified'), { status: 304 }),
+    );
+    const waitMs = 4000;
+    const options = {
+      octokit: {
+        checks: { listForRef },
+        repos: { getCombinedStatusForRef },
+      },
+      retry: {
+        ...timeOptions,
+        maxTotalMs: waitMs,
+      },
+    };
+    const result = fetchCiStatus(apiArgs, options);
+    await setImmediateP();
+
+    clock.tick(waitMs);
+    assert.deepStrictEqual(await result, [status.data, checks.data]);
+    sinon.assert.calledTwice(getCombinedStatusForRef);
+    sinon.assert.calledTwice(listForRef);
+    assertCalledConditionally(getCombinedStatusForRef, apiArgs);
+    assertCalledConditionally(listForRef, apiArgs);
+  });
+
+  it('does not send If-None-Match without ETag', async () => {
+    const status = makeCombinedStatus('pending');
+    status.headers = { ...status.headers, etag: undefined };
+    const getCombinedStatusForRef = sinon.stub().resolves(status);
+    const checks = makeCheckRuns('success');
+    const listForRef = sinon.stub().resolves(checks);
+    const waitMs = 4000;
+    const options = {
+      octokit: {
+        checks: { listForRef },
+        repos: { getCombinedStatusForRef },
+      },
+      retry: {
+        ...timeOptions,
+        maxTotalMs: waitMs,
+      },
+    };
+    const result = fetchCiStatus(apiArgs, options);
+    await setImmediateP();
+
+    clock.tick(waitMs);
+    await result;
+    sinon.assert.calledTwice(getCombinedStatusForRef);
+    sinon.assert.alwaysCalledWithExactly(getCombinedStatusForRef, apiArgs);
+  });
+
+  it('waits at least X-Poll-Interval between polls', async () => {
+    const headers = {
+      ...makeCombinedStatus().headers,
+      'x-poll-interval': '10',
+    };
+    const status = makeCombinedStatus('success');
+    const getCombinedStatusForRef = sinon.stub().resolves(status)
+      .onCall(0).resolves({ ...makeCombinedStatus('pending'), headers });
+    const checks = makeCheckRuns('success');
+    const listForRef = sinon.stub().resolves(checks);
+    const options = {
+      octokit: {
+        checks: { listForRef },
+        repos: { getCombinedStatusForRef },
+      },
+      retry: timeOptions,
+    };
+    const result = fetchCiStatus(apiArgs, options);
+    await setImmediateP();
+    clock.tick(4000);
+    await setImmediateP();
+    sinon.assert.calledOnce(getCombinedStatusForRef);
+
+    clock.tick(6000);
+    assert.deepStrictEqual(await result, [status.data, checks.data]);
+    sinon.assert.calledTwice(getCombinedStatusForRef);
+  });
+
+  it('uses X-Poll-Interval of 304 Not Modified', async () => {
+    const status = makeCombinedStatus('pending');
+    const getCombinedStatusForRef = sinon.stub().resolves(status);
+    getCombinedStatusForRef.onCall(1).rejects(
+      makeRequestError(304, { 'x-poll-interval': '10' }, 'Not Modified'),
+    );
+    const checks = makeCheckRuns('success');
+    const listForRef = sinon.stub().resolves(checks);
+    const options = {
+      octokit: {
+        checks: { listForRef },
+        repos: { getCombinedStatusForRef },
+      },
+      retry: {
+        ...timeOptions,
+        maxTotalMs: 30000,
+      },
+    };
+    const result = fetchCiStatus(apiArgs, options);
+    await setImmediateP();
+    clock.tick(4000);
+    await setImmediateP();
+    sinon.assert.calledTwice(getCombinedStatusForRef);
+
+    // Exponential backoff would retry after 8 seconds
+    clock.tick(8000);
+    await setImmediateP();
+    sinon.assert.calledTwice(getCombinedStatusForRef);
+
+    clock.tick(2000);
+    await setImmediateP();
+    sinon.assert.calledThrice(getCombinedStatusForRef);
+
+    clock.tick(16000);
+    assert.deepStrictEqual(await result, [status.data, checks.data]);
+  });
+
+  it('calls onPoll with result of each attempt', async () => {
+    const status = makeCombinedStatus('pending');
+    const getCombinedStatusForRef = sinon.stub().resolves(status);
+    const checks = makeCheckRuns('success');
+    const listForRef = sinon.stub().resolves(checks);
+    const onPoll = sinon.stub();
+    const waitMs = 4000;
+    const options = {
+      octokit: {
+        checks: { listForRef },
+        repos: { getCombinedStatusForRef },
+      },
+      onPoll,
+      retry: {
+        ...timeOptions,
+        maxTotalMs: waitMs,
+      },
+    };
+    const result = fetchCiStatus(apiArgs, options);
+    await setImmediateP();
+    sinon.assert.calledOnceWithExactly(onPoll, [status.data, checks.data]);
+
+    clock.tick(waitMs);
+    assert.deepStrictEqual(await result, [status.data, checks.data]);
+    sinon.assert.calledTwice(onPoll);
+    sinon.assert.alwaysCalledWithExactly(onPoll, [status.data, checks.data]);
+  });
+
+  it('stops retrying once pending check run is stuck', async () => {
+    const status = makeCombinedStatus('success');
+    const getCombinedStatusForRef = sinon.stub().resolves(status);
+    const checks = makeCheckRuns('success', 'queued');
+    // eslint-disable-next-line camelcase
+    checks.data.check_runs[1].started_at = new Date(clock.now).toISOString();
+    const listForRef = sinon.stub().resolves(checks);
+    const waitMs = 4000;
+    const options = {
+      octokit: {
+        checks: { listForRef },
+        repos: { getCombinedStatusForRef },
+      },
+      retry: {
+        ...timeOptions,
+        maxTotalMs: waitMs * 10,
+      },
+      stuckAfterMs: waitMs / 2,
+    };
+    const result = fetchCiStatus(apiArgs, options);
+    await setImmediateP();
+
+    clock.tick(waitMs);
+    assert.deepStrictEqual(await result, [status.data, checks.data]);
+    sinon.assert.calledTwice(getCombinedStatusForRef);
+    sinon.assert.calledTwice(listForRef);
+  });
+
+  it('stops retrying with waitAll once only stuck are pending', async () => {
+    const status = makeCombinedStatus('success');
+    const getCombinedStatusForRef = sinon.stub().resolves(status);
+    const checks = makeCheckRuns('failure', 'queued');
+    // eslint-disable-next-line camelcase
+    checks.data.check_runs[1].started_at = new Date(clock.now).toISOString();
+    const listForRef = sinon.stub().resolves(checks);
+    const waitMs = 4000;
+    const options = {
+      octokit: {
+        checks: { listForRef },
+        repos: { getCombinedStatusForRef },
+      },
+      retry: {
+        ...timeOptions,
+        maxTotalMs: waitMs * 10,
+      },
+      stuckAfterMs: waitMs / 2,
+      waitAll: true,
+    };
+    const result = fetchCiStatus(apiArgs, options);
+    await setImmediateP();
+
+    clock.tick(waitMs);
+    assert.deepStrictEqual(await result, [status.data, checks.data]);
+    sinon.assert.calledTwice(getCombinedStatusForRef);
+    sinon.assert.calledTwice(listForRef);
+  });
+
+  it('does not retry on pending check run for excludeJob', async () => {
+    const status = makeCombinedStatus('success');
+    const getCombinedStatusForRef = sinon.stub().resolves(status);
+    const checks = makeCheckRuns('success', 'pending');
+    const runUrl = 'https://github.com/owner/repo/actions/runs/123/job/4';
+    checks.data.check_runs[1] = {
+      ...checks.data.check_runs[1],
+      name: 'check',
+      html_url: runUrl, // eslint-disable-line camelcase
+      details_url: runUrl, // eslint-disable-line camelcase
+    };
+    const listForRef = sinon.stub().resolves(checks);
+    const options = {
+      excludeJob: { job: 'check', runId: '123' },
+      octokit: {
+        checks: { listForRef },
+        repos: { getCombinedStatusForRef },
+      },
+      retry: {
+        setTimeout: neverCalled,
+      },
+    };
+    const result = await fetchCiStatus(apiArgs, options);
+    sinon.assert.calledOnceWithExactly(getCombinedStatusForRef, apiArgs);
+    sinon.assert.calledOnceWithExactly(listForRef, apiArgs);
+    assert.deepStrictEqual(result, [status.data, checks.data]);
+  });
+
+  it('retries on failure check excluded by contextFilter', async () => {
+    const status = makeCombinedStatus('pending');
+    const getCombinedStatusForRef = sinon.stub().resolves(status);
+    const checks = makeCheckRuns('failure');
+    const listForRef = sinon.stub().resolves(checks);
+    const contextFilter = sinon.stub().returns(true);
+    contextFilter.withArgs('mighty_readme').returns(false);
+    const waitMs = 4000;
+    const options = {
+      contextFilter,
+      octokit: {
+        checks: { listForRef },
+        repos: { getCombinedStatusForRef },
+      },
+      retry: {
+        ...timeOptions,
+        maxTotalMs: waitMs,
+      },
+    };
+    const result = fetchCiStatus(apiArgs, options);
+    await setImmediateP();
+
+    clock.tick(waitMs);
+    assert.deepStrictEqual(await result, [status.data, checks.data]);
+    sinon.assert.calledTwice(getCombinedStatusForRef);
+    sinon.assert.calledTwice(listForRef);
+  });
+
+  describe('with requiredBranch', () => {
+    it('calls onPoll with required checks', async () => {
+      const status = makeCombinedStatus('success');
+      const getCombinedStatusForRef = sinon.stub().resolves(status);
+      const checks = makeCheckRuns('success');
+      const listForRef = sinon.stub().resolves(checks);
+      const getBranch = sinon.stub().resolves(makeBranch({
+        contexts: ['mighty_readme'],
+      }));
+      const onPoll = sinon.stub();
+      const options = {
+        octokit: {
+          checks: { listForRef },
+          repos: { getBranch, getCombinedStatusForRef },
+        },
+        onPoll,
+        requiredBranch: 'main',
+      };
+      await fetchCiStatus(apiArgs, options);
+      sinon.assert.calledOnceWithExactly(onPoll, [
+        status.data,
+        checks.data,
+        [{ context: 'mighty_readme' }],
+      ]);
+    });
+
+    it('returns required checks from branch protection', async () => {
+      const status = makeCombinedStatus('success');
+      const getCombinedStatusForRef = sinon.stub().resolves(status);
+      const checks = makeCheckRuns('success');
+      const listForRef = sinon.stub().resolves(checks);
+      /* eslint-disable camelcase */
+      const getBranch = sinon.stub().resolves(makeBranch({
+        enforcement_level: 'non_admins',
+        contexts: ['continuous-integration/jenkins', 'mighty_readme', 'any'],
+        checks: [
+          { context: 'continuous-integration/jenkins', app_id: null },
+          { context: 'mighty_readme', app_id: 1 },
+          { context: 'any', app_id: -1 },
+        ],
+      }));
+      /* eslint-enable camelcase */
+      const options = {
+        octokit: {
+          checks: { listForRef },
+          repos: { getBranch, getCombinedStatusForRef },
+        },
+        requiredBranch: 'main',
+      };
+      const result = await fetchCiStatus(apiArgs, options);
+      sinon.assert.calledOnceWithExactly(getBranch, {
+        owner: apiArgs.owner,
+        repo: apiArgs.repo,
+        branch: 'main',
+      });
+      assert.deepStrictEqual(result, [
+        status.data,
+        checks.data,
+        [
+          { context: 'continuous-integration/jenkins', appId: undefined },
+          { context: 'mighty_readme', appId: 1 },
+          { context: 'any', appId: undefined },
+        ],
+      ]);
+    });
+
+    it('returns required contexts if checks are not listed', async () => {
+      const getBranch = sinon.stub().resolves(makeBranch({
+        contexts: ['ci'],
+      }));
+      const options = {
+        octokit: {
+          checks: { listForRef: sinon.stub().resolves(makeCheckRuns()) },
+          repos: {
+            getBranch,
+            getCombinedStatusForRef:
+              sinon.stub().resolves(makeCombinedStatus()),
+          },
+        },
+        requiredBranch: 'main',
+      };
+      const result = await fetchCiStatus(apiArgs, options);
+      assert.deepStrictEqual(result[2], [{ context: 'ci' }]);
+    });
+
+    it('returns no required checks for unprotected branch', async () => {
+      const getBranch = sinon.stub().resolves({
+        data: {
+          name: 'main',
+          protected: false,
+          protection: { enabled: false },
+        },
+      });
+      const options = {
+        octokit: {
+          checks: { listForRef: sinon.stub().resolves(makeCheckRuns()) },
+          repos: {
+            getBranch,
+            getCombinedStatusForRef:
+              sinon.stub().resolves(makeCombinedStatus()),
+          },
+        },
+        requiredBranch: 'main',
+      };
+      const result = await fetchCiStatus(apiArgs, options);
+      assert.strictEqual(result[2], undefined);
+    });
+
+    it('considers all statuses if no checks are required', async () => {
+      const status = makeCombinedStatus('pending');
+      const getCombinedStatusForRef = sinon.stub().resolves(status);
+      const checks = makeCheckRuns('success');
+      const listForRef = sinon.stub().resolves(checks);
+      const getBranch = sinon.stub().resolves(makeBranch({
+        contexts: [],
+        checks: [],
+      }));
+      const debug = sinon.stub();
+      const waitMs = 4000;
+      const options = {
+        debug,
+        octokit: {
+          checks: { listForRef },
+          repos: { getBranch, getCombinedStatusForRef },
+        },
+        requiredBranch: 'main',
+        retry: {
+          ...timeOptions,
+          maxTotalMs: waitMs,
+        },
+      };
+      const result = fetchCiStatus(apiArgs, options);
+      await setImmediateP();
+
+      clock.tick(waitMs);
+      assert.deepStrictEqual(
+        await result,
+        [status.data, checks.data, undefined],
+      );
+      sinon.assert.calledTwice(getCombinedStatusForRef);
+      sinon.assert.calledTwice(listForRef);
+      sinon.assert.calledWithMatch(debug, /no required status checks/);
+    });
+
+    it('retries while required check is missing', async () => {
+      const status = makeCombinedStatus('success');
+      const getCombinedStatusForRef = sinon.stub().resolves(status);
+      const checks = makeCheckRuns('success');
+      const listForRef = sinon.stub().resolves(checks);
+      const getBranch = sinon.stub().resolves(makeBranch({
+        contexts: ['mighty_readme', 'deploy'],
+      }));
+      const waitMs = 4000;
+      const options = {
+        octokit: {
+          checks: { listForRef },
+          repos: { getBranch, getCombinedStatusForRef },
+        },
+        requiredBranch: 'main',
+        retry: {
+          ...timeOptions,
+          maxTotalMs: waitMs,
+        },
+      };
+      const result = fetchCiStatus(apiArgs, options);
+      await setImmediateP();
+
+      clock.tick(waitMs);
+      assert.strictEqual((await result).length, 3);
+      sinon.assert.calledOnce(getBranch);
+      sinon.assert.calledTwice(getCombinedStatusForRef);
+      sinon.assert.calledTwice(listForRef);
+    });
+
+    it('does not retry on pending status which is not required', async () => {
+      const status = makeCombinedStatus('pending');
+      const getCombinedStatusForRef = sinon.stub().resolves(status);
+      const checks = makeCheckRuns('success');
+      const listForRef = sinon.stub().resolves(checks);
+      const getBranch = sinon.stub().resolves(makeBranch({
+        contexts: ['mighty_readme'],
+      }));
+      const options = {
+        octokit: {
+          checks: { listForRef },
+          repos: { getBranch, getCombinedStatusForRef },
+        },
+        requiredBranch: 'main',
+        retry: {
+          setTimeout: neverCalled,
+        },
+      };
+      await fetchCiStatus(apiArgs, options);
+      sinon.assert.calledOnce(getCombinedStatusForRef);
+      sinon.assert.calledOnce(listForRef);
+    });
+  });
+
+  it('retries while expected context is missing', async () => {
+    const status = makeCombinedStatus('success');
+    const getCombinedStatusForRef = sinon.stub().resolves(status);
+    const checks = makeCheckRuns('success');
+    const listForRef = sinon.stub().resolves(checks);
+    const waitMs = 4000;
+    const options = {
+      expect: ['mighty_*', 'deploy*'],
+      octokit: {
+        checks: { listForRef },
+        repos: { getCombinedStatusForRef },
+      },
+      retry: {
+        ...timeOptions,
+        maxTotalMs: waitMs,
+      },
+    };
+    const result = fetchCiStatus(apiArgs, options);
+    await setImmediateP();
+
+    clock.tick(waitMs);
+    assert.deepStrictEqual(await result, [status.data, checks.data]);
+    sinon.assert.calledTwice(getCombinedStatusForRef);
+    sinon.assert.calledTwice(listForRef);
+  });
+
+  it('retries while fewer than minChecks', async () => {
+    const status = makeCombinedStatus('success');
+    const getCombinedStatusForRef = sinon.stub().resolves(status);
+    const listForRef = sinon.stub().resolves(makeCheckRuns('success'));
+    listForRef.onCall(1).resolves(makeCheckRuns('success', 'success'));
+    const options = {
+      minChecks: 3,
+      octokit: {
+        checks: { listForRef },
+        repos: { getCombinedStatusForRef },
+      },
+      retry: timeOptions,
+    };
+    const result = fetchCiStatus(apiArgs, options);
+    await setImmediateP();
+
+    clock.tick(4000);
+    assert.deepStrictEqual(
+      await result,
+      [status.data, makeCheckRuns('success', 'success').data],
+    );
+    sinon.assert.calledTwice(getCombinedStatusForRef);
+    sinon.assert.calledTwice(listForRef);
+  });
+
+  it('does not retry on pending/failure, by default', async () => {
+    const status = makeCombinedStatus('pending');
+    const getCombinedStatusForRef = sinon.stub().resolves(status);
+    const checks = makeCheckRuns('failure');
+    const listForRef = sinon.stub().resolves(checks);
+    const options = {
+      octokit: {
+        checks: { listForRef },
+        repos: { getCombinedStatusForRef },
+      },
+      retry: {
+        setTimeout: neverCalled,
+      },
+    };
+    const result = await fetchCiStatus(apiArgs, options);
+    sinon.assert.calledOnceWithExactly(getCombinedStatusForRef, apiArgs);
+    sinon.assert.calledOnceWithExactly(listForRef, apiArgs);
+    assert.deepStrictEqual(result, [status.data, checks.data]);
+  });
+
+  it('retries on pending/failure if waitAll', async () => {
+    const status = makeCombinedStatus('pending');
+    const getCombinedStatusForRef = sinon.stub().resolves(status);
+    const checks = makeCheckRuns('failure');
+    const listForRef = sinon.stub().resolves(checks);
+    const waitMs = 4000;
+    const options = {
+      octokit: {
+        checks: { listForRef },
+        repos: { getCombinedStatusForRef },
+      },
+      retry: {
+        ...timeOptions,
+        maxTotalMs: waitMs,
+      },
+      waitAll: true,
+    };
+    const result = fetchCiStatus(apiArgs, options);
+    await setImmediateP();
+
+    clock.tick(waitMs);
+    assert.deepStrictEqual(await result, [status.data, checks.data]);
+    assertCalledConditionally(getCombinedStatusForRef, apiArgs);
+    assertCalledConditionally(listForRef, apiArgs);
+    sinon.assert.calledTwice(getCombinedStatusForRef);
+    sinon.assert.calledTwice(listForRef);
+  });
+
+  it('retries on failure/in_progress if waitAll', async () => {
+    const status = makeCombinedStatus('failure');
+    const getCombinedStatusForRef = sinon.stub().resolves(status);
+    const checks = makeCheckRuns('in_progress');
+    const listForRef = sinon.stub().resolves(checks);
+    const waitMs = 4000;
+    const options = {
+      octokit: {
+        checks: { listForRef },
+        repos: { getCombinedStatusForRef },
+      },
+      retry: {
+        ...timeOptions,
+        maxTotalMs: waitMs,
+      },
+      waitAll: true,
+    };
+    const result = fetchCiStatus(apiArgs, options);
+    await setImmediateP();
+
+    clock.tick(waitMs);
+    assert.deepStrictEqual(await result, [status.data, checks.data]);
+    assertCalledConditionally(getCombinedStatusForRef, apiArgs);
+    assertCalledConditionally(listForRef, apiArgs);
+    sinon.assert.calledTwice(getCombinedStatusForRef);
+    sinon.assert.calledTwice(listForRef);
+  });
+
+  it('fetches all pages of check runs', async () => {
+    const status = makeCombinedStatus('success');
+    const getCombinedStatusForRef = sinon.stub().resolves(status);
+    const checks = makeCheckRuns('success', 'success', 'failure');
+    const listForRef = sinon.stub();
+    listForRef.onCall(0).resolves(checkRunsPage(checks, 0, 2));
+    listForRef.onCall(1).resolves(checkRunsPage(checks, 2));
+    const options = {
+      octokit: {
+        checks: { listForRef },
+        repos: { getCombinedStatusForRef },
+      },
+    };
+    const result = await fetchCiStatus(apiArgs, options);
+    sinon.assert.calledOnceWithExactly(getCombinedStatusForRef, apiArgs);
+    sinon.assert.calledTwice(listForRef);
+    sinon.assert.calledWithExactly(listForRef.getCall(0), apiArgs);
+    sinon.assert.calledWithExactly(
+      listForRef.getCall(1),
+      { ...apiArgs, page: 2 },
+    );
+    assert.deepStrictEqual(result, [status.data, checks.data]);
+  });
+
+  it('stops fetching check runs on empty page', async () => {
+    const status = makeCombinedStatus('success');
+    const getCombinedStatusForRef = sinon.stub().resolves(status);
+    const listForRef = sinon.stub();
+    listForRef.onCall(0).resolves(withTotalCount(makeCheckRuns('success'), 3));
+    listForRef.onCall(1).resolves(withTotalCount(makeCheckRuns(), 3));
+    const options = {
+      octokit: {
+        checks: { listForRef },
+        repos: { getCombinedStatusForRef },
+      },
+    };
+    const result = await fetchCiStatus(apiArgs, options);
+    sinon.assert.calledTwice(listForRef);
+    assert.deepStrictEqual(
+      result,
+      [status.data, withTotalCount(makeCheckRuns('success'), 3).data],
+    );
+  });
+
+  it('fetches all pages of check runs on each retry', async () => {
+    const status = makeCombinedStatus('success');
+    const getCombinedStatusForRef = sinon.stub().resolves(status);
+    const checks = makeCheckRuns('success', 'success');
+    const listForRef = sinon.stub();
+    listForRef.onCall(0).resolves(checkRunsPage(checks, 0, 1));
+    listForRef.onCall(1)
+      .resolves(checkRunsPage(makeCheckRuns('success', 'in_progress'), 1));
+    listForRef.onCall(2).resolves(checkRunsPage(checks, 0, 1));
+    listForRef.onCall(3).resolves(checkRunsPage(checks, 1));
+    const options = {
+      octokit: {
+        checks: { listForRef },
+        repos: { getCombinedStatusForRef },
+      },
+      retry: timeOptions,
+    };
+    const result = fetchCiStatus(apiArgs, options);
+
+    await setImmediateP();
+    sinon.assert.callCount(listForRef, 2);
+    clock.tick(4000);
+    await setImmediateP();
+    sinon.assert.callCount(listForRef, 4);
+
+    assert.deepStrictEqual(await result, [status.data, checks.data]);
+    const headers = { 'if-none-match': testEtag };
+    sinon.assert.calledWithExactly(
+      listForRef.getCall(2),
+      { ...apiArgs, headers },
+    );
+    sinon.assert.calledWithExactly(
+      listForRef.getCall(3),
+      { ...apiArgs, page: 2, headers },
+    );
+  });
+
+  it('fetches all pages of statuses', async () => {
+    const getCombinedStatusForRef = sinon.stub();
+    getCombinedStatusForRef.onCall(0)
+      .resolves(withTotalCount(makeCombinedStatus('success', 'success'), 3));
+    getCombinedStatusForRef.onCall(1)
+      .resolves(withTotalCount(makeCombinedStatus('failure'), 3));
     const checks = makeCheckRuns('success');
     const listForRef = sinon.stub().resolves(checks);
     const options = {
@@ -68,40 +1085,68 @@ describe('fetchCiStatus', () => {
         checks: { listForRef },
         repos: { getCombinedStatusForRef },
       },
-      retry: {
-        setTimeout: neverCalled,
-      },
     };
     const result = await fetchCiStatus(apiArgs, options);
-    sinon.assert.calledOnceWithExactly(getCombinedStatusForRef, apiArgs);
+    sinon.assert.calledTwice(getCombinedStatusForRef);
+    sinon.assert.calledWithExactly(getCombinedStatusForRef.getCall(0), apiArgs);
+    sinon.assert.calledWithExactly(
+      getCombinedStatusForRef.getCall(1),
+      { ...apiArgs, page: 2 },
+    );
     sinon.assert.calledOnceWithExactly(listForRef, apiArgs);
-    assert.deepStrictEqual(result, [status.data, checks.data]);
+    const firstPage = makeCombinedStatus('success', 'success').data;
+    assert.deepStrictEqual(result, [
+      {
+        ...firstPage,
+        statuses: [
+          ...firstPage.statuses,
+          ...makeCombinedStatus('failure').data.statuses,
+        ],
+        total_count: 3, // eslint-disable-line camelcase
+      },
+      checks.data,
+    ]);
   });
 
-  it('does not retry on both failure', async () => {
-    const status = makeCombinedStatus('failure');
-    const getCombinedStatusForRef = sinon.stub().resolves(status);
-    const checks = makeCheckRuns('failure');
+  it('retries on pending status in later page', async () => {
+    const getCombinedStatusForRef = sinon.stub()
+      .resolves(withTotalCount(makeCombinedStatus('success'), 2));
+    getCombinedStatusForRef.onCall(1)
+      .resolves(withTotalCount(makeCombinedStatus('pending'), 2));
+    const checks = makeCheckRuns('success');
     const listForRef = sinon.stub().resolves(checks);
     const options = {
       octokit: {
         checks: { listForRef },
         repos: { getCombinedStatusForRef },
       },
-      retry: {
-        setTimeout: neverCalled,
-      },
+      retry: timeOptions,
     };
-    const result = await fetchCiStatus(apiArgs, options);
-    sinon.assert.calledOnceWithExactly(getCombinedStatusForRef, apiArgs);
-    sinon.assert.calledOnceWithExactly(listForRef, apiArgs);
-    assert.deepStrictEqual(result, [status.data, checks.data]);
+    const result = fetchCiStatus(apiArgs, options);
+
+    await setImmediateP();
+    sinon.assert.callCount(getCombinedStatusForRef, 2);
+    clock.tick(4000);
+    await setImmediateP();
+    sinon.assert.callCount(getCombinedStatusForRef, 4);
+
+    const [combinedStatus, checksList] = await result;
+    assert.deepStrictEqual(
+      combinedStatus.statuses.map((status) => status.state),
+      ['success', 'success'],
+    );
+    assert.deepStrictEqual(checksList, checks.data);
+    sinon.assert.callCount(listForRef, 2);
   });
 
-  it('does not retry on both unknown', async () => {
-    const status = makeCombinedStatus('test123');
+  it('waits for rate limit reset after 403 with none remaining', async () => {
+    const status = makeCombinedStatus('success');
     const getCombinedStatusForRef = sinon.stub().resolves(status);
-    const checks = makeCheckRuns('test123');
+    getCombinedStatusForRef.onCall(0).rejects(makeRequestError(403, {
+      'x-ratelimit-remaining': '0',
+      'x-ratelimit-reset': String(Math.ceil(clock.now / 1000) + 10),
+    }));
+    const checks = makeCheckRuns('success');
     const listForRef = sinon.stub().resolves(checks);
     const options = {
       octokit: {
@@ -109,75 +1154,79 @@ describe('fetchCiStatus', () => {
         repos: { getCombinedStatusForRef },
       },
       retry: {
-        setTimeout: neverCalled,
+        ...timeOptions,
+        maxTotalMs: 60000,
       },
     };
-    const result = await fetchCiStatus(apiArgs, options);
-    sinon.assert.calledOnceWithExactly(getCombinedStatusForRef, apiArgs);
-    sinon.assert.calledOnceWithExactly(listForRef, apiArgs);
-    assert.deepStrictEqual(result, [status.data, checks.data]);
+    const result = fetchCiStatus(apiArgs, options);
+    await setImmediateP();
+    sinon.assert.calledOnce(getCombinedStatusForRef);
+
+    clock.tick(11000);
+    assert.deepStrictEqual(await result, [status.data, checks.data]);
+    sinon.assert.calledTwice(getCombinedStatusForRef);
   });
 
-  it('retries on pending/queued up to maxTotalMs', async () => {
-    const status = makeCombinedStatus('pending');
+  it('waits for Retry-After after 429', async () => {
+    const status = makeCombinedStatus('success');
     const getCombinedStatusForRef = sinon.stub().resolves(status);
-    const checks = makeCheckRuns('queued');
+    const checks = makeCheckRuns('success');
     const listForRef = sinon.stub().resolves(checks);
-    const waitMs = 4000;
+    listForRef.onCall(0).rejects(makeRequestError(
+      429,
+      { 'retry-after': '30' },
+      'Too Many Requests',
+    ));
     const options = {
       octokit: {
         checks: { listForRef },
         repos: { getCombinedStatusForRef },
       },
-      retry: {
-        ...timeOptions,
-        maxTotalMs: waitMs,
-      },
+      retry: timeOptions,
     };
     const result = fetchCiStatus(apiArgs, options);
     await setImmediateP();
+    clock.tick(29000);
+    await setImmediateP();
+    sinon.assert.calledOnce(listForRef);
 
-    clock.tick(waitMs);
+    clock.tick(1000);
     assert.deepStrictEqual(await result, [status.data, checks.data]);
-    sinon.assert.alwaysCalledWith(getCombinedStatusForRef, apiArgs);
-    sinon.assert.alwaysCalledWith(listForRef, apiArgs);
-    sinon.assert.calledTwice(getCombinedStatusForRef);
     sinon.assert.calledTwice(listForRef);
   });
 
-  it('retries on pending/in_progress up to maxTotalMs', async () => {
-    const status = makeCombinedStatus('pending');
+  it('waits after secondary rate limit', async () => {
+    const status = makeCombinedStatus('success');
     const getCombinedStatusForRef = sinon.stub().resolves(status);
-    const checks = makeCheckRuns('in_progress');
+    getCombinedStatusForRef.onCall(0).rejects(makeRequestError(
+      403,
+      {},
+      'You have exceeded a secondary rate limit.',
+    ));
+    const checks = makeCheckRuns('success');
     const listForRef = sinon.stub().resolves(checks);
-    const waitMs = 4000;
     const options = {
       octokit: {
         checks: { listForRef },
         repos: { getCombinedStatusForRef },
       },
-      retry: {
-        ...timeOptions,
-        maxTotalMs: waitMs,
-      },
+      retry: timeOptions,
     };
     const result = fetchCiStatus(apiArgs, options);
     await setImmediateP();
 
-    clock.tick(waitMs);
+    clock.tick(60000);
     assert.deepStrictEqual(await result, [status.data, checks.data]);
-    sinon.assert.alwaysCalledWith(getCombinedStatusForRef, apiArgs);
-    sinon.assert.alwaysCalledWith(listForRef, apiArgs);
     sinon.assert.calledTwice(getCombinedStatusForRef);
-    sinon.assert.calledTwice(listForRef);
   });
 
-  it('retries on pending/success up to maxTotalMs', async () => {
-    const status = makeCombinedStatus('pending');
-    const getCombinedStatusForRef = sinon.stub().resolves(status);
-    const checks = makeCheckRuns('success');
-    const listForRef = sinon.stub().resolves(checks);
-    const waitMs = 4000;
+  it('rejects with rate limit error if reset after maxTotalMs', async () => {
+    const errTest = makeRequestError(403, {
+      'x-ratelimit-remaining': '0',
+      'x-ratelimit-reset': String(Math.ceil(clock.now / 1000) + 10),
+    });
+    const getCombinedStatusForRef = sinon.stub().rejects(errTest);
+    const listForRef = sinon.stub().resolves(makeCheckRuns('success'));
     const options = {
       octokit: {
         checks: { listForRef },
@@ -185,121 +1234,241 @@ describe('fetchCiStatus', () => {
       },
       retry: {
         ...timeOptions,
-        maxTotalMs: waitMs,
+        maxTotalMs: 4000,
       },
     };
-    const result = fetchCiStatus(apiArgs, options);
-    await setImmediateP();
+    await assert.rejects(
+      () => fetchCiStatus(apiArgs, options),
+      (err) => err === errTest,
+    );
+    sinon.assert.calledOnce(getCombinedStatusForRef);
+  });
 
-    clock.tick(waitMs);
-    assert.deepStrictEqual(await result, [status.data, checks.data]);
-    sinon.assert.alwaysCalledWith(getCombinedStatusForRef, apiArgs);
-    sinon.assert.alwaysCalledWith(listForRef, apiArgs);
-    sinon.assert.calledTwice(getCombinedStatusForRef);
-    sinon.assert.calledTwice(listForRef);
+  it('rejects with 403 error not caused by rate limit', async () => {
+    const errTest = makeRequestError(403, {
+      'x-ratelimit-remaining': '50',
+    });
+    const getCombinedStatusForRef = sinon.stub().rejects(errTest);
+    const listForRef = sinon.stub().resolves(makeCheckRuns('success'));
+    const options = {
+      octokit: {
+        checks: { listForRef },
+        repos: { getCombinedStatusForRef },
+      },
+      retry: timeOptions,
+    };
+    await assert.rejects(
+      () => fetchCiStatus(apiArgs, options),
+      (err) => err === errTest,
+    );
+    sinon.assert.calledOnce(getCombinedStatusForRef);
   });
 
-  it('retries on success/queued up to maxTotalMs', async () => {
+  it('does not wait for rate limit without retry', async () => {
+    const errTest = makeRequestError(429, { 'retry-after': '1' });
+    const getCombinedStatusForRef = sinon.stub().rejects(errTest);
+    const listForRef = sinon.stub().resolves(makeCheckRuns('success'));
+    const options = {
+      octokit: {
+        checks: { listForRef },
+        repos: { getCombinedStatusForRef },
+      },
+    };
+    await assert.rejects(
+      () => fetchCiStatus(apiArgs, options),
+      (err) => err === errTest,
+    );
+    sinon.assert.calledOnce(getCombinedStatusForRef);
+  });
+
+  it('retries after 5xx response', async () => {
     const status = makeCombinedStatus('success');
     const getCombinedStatusForRef = sinon.stub().resolves(status);
-    const checks = makeCheckRuns('queued');
+    getCombinedStatusForRef.onCall(0)
+      .rejects(makeRequestError(502, {}, 'Bad Gateway'));
+    const checks = makeCheckRuns('success');
     const listForRef = sinon.stub().resolves(checks);
-    const waitMs = 4000;
     const options = {
       octokit: {
         checks: { listForRef },
         repos: { getCombinedStatusForRef },
       },
-      retry: {
-        ...timeOptions,
-        maxTotalMs: waitMs,
-      },
+      retry: timeOptions,
     };
     const result = fetchCiStatus(apiArgs, options);
     await setImmediateP();
-
-    clock.tick(waitMs);
+    clock.tick(4000);
     assert.deepStrictEqual(await result, [status.data, checks.data]);
-    sinon.assert.alwaysCalledWith(getCombinedStatusForRef, apiArgs);
-    sinon.assert.alwaysCalledWith(listForRef, apiArgs);
     sinon.assert.calledTwice(getCombinedStatusForRef);
-    sinon.assert.calledTwice(listForRef);
   });
 
-  it('does not retry on pending/failure, by default', async () => {
-    const status = makeCombinedStatus('pending');
+  it('retries after network error', async () => {
+    const status = makeCombinedStatus('success');
     const getCombinedStatusForRef = sinon.stub().resolves(status);
-    const checks = makeCheckRuns('failure');
+    const checks = makeCheckRuns('success');
     const listForRef = sinon.stub().resolves(checks);
+    listForRef.onCall(0).rejects(Object.assign(
+      new Error('socket hang up'),
+      { code: 'ECONNRESET' },
+    ));
     const options = {
       octokit: {
         checks: { listForRef },
         repos: { getCombinedStatusForRef },
       },
-      retry: {
-        setTimeout: neverCalled,
-      },
+      retry: timeOptions,
     };
-    const result = await fetchCiStatus(apiArgs, options);
-    sinon.assert.calledOnceWithExactly(getCombinedStatusForRef, apiArgs);
-    sinon.assert.calledOnceWithExactly(listForRef, apiArgs);
-    assert.deepStrictEqual(result, [status.data, checks.data]);
+    const result = fetchCiStatus(apiArgs, options);
+    await setImmediateP();
+    clock.tick(4000);
+    assert.deepStrictEqual(await result, [status.data, checks.data]);
+    sinon.assert.calledTwice(listForRef);
   });
 
-  it('retries on pending/failure if waitAll', async () => {
-    const status = makeCombinedStatus('pending');
-    const getCombinedStatusForRef = sinon.stub().resolves(status);
-    const checks = makeCheckRuns('failure');
+  for (const [errStatus, errMessage] of [[401, 'Bad credentials'],
+    [404, 'Not Found']]) {
+    it(`rejects immediately after ${errStatus} response`, async () => {
+      const errTest = makeRequestError(errStatus, {}, errMessage);
+      const getCombinedStatusForRef = sinon.stub().rejects(errTest);
+      const listForRef = sinon.stub().resolves(makeCheckRuns('success'));
+      const options = {
+        octokit: {
+          checks: { listForRef },
+          repos: { getCombinedStatusForRef },
+        },
+        retry: {
+          ...timeOptions,
+          setTimeout: neverCalled,
+        },
+      };
+      await assert.rejects(
+        () => fetchCiStatus(apiArgs, options),
+        (err) => err === errTest,
+      );
+      sinon.assert.calledOnce(getCombinedStatusForRef);
+    });
+  }
+
+  it('slows polling when rate limit is nearly exceeded', async () => {
+    const headers = {
+      ...makeCombinedStatus().headers,
+      'x-ratelimit-limit': '60',
+      'x-ratelimit-remaining': '4',
+      'x-ratelimit-reset': String(Math.ceil(clock.now / 1000) + 60),
+    };
+    const status = { ...makeCombinedStatus('success'), headers };
+    const getCombinedStatusForRef = sinon.stub().resolves(status)
+      .onCall(0).resolves({ ...makeCombinedStatus('pending'), headers });
+    const checks = { ...makeCheckRuns('success'), headers };
     const listForRef = sinon.stub().resolves(checks);
-    const waitMs = 4000;
     const options = {
       octokit: {
         checks: { listForRef },
         repos: { getCombinedStatusForRef },
       },
-      retry: {
-        ...timeOptions,
-        maxTotalMs: waitMs,
-      },
-      waitAll: true,
+      retry: timeOptions,
     };
     const result = fetchCiStatus(apiArgs, options);
     await setImmediateP();
+    // 2 polls remaining (of 2 requests each) spread over 60 seconds
+    clock.tick(4000);
+    await setImmediateP();
+    sinon.assert.calledOnce(getCombinedStatusForRef);
 
-    clock.tick(waitMs);
+    clock.tick(26000);
     assert.deepStrictEqual(await result, [status.data, checks.data]);
-    sinon.assert.alwaysCalledWith(getCombinedStatusForRef, apiArgs);
-    sinon.assert.alwaysCalledWith(listForRef, apiArgs);
     sinon.assert.calledTwice(getCombinedStatusForRef);
-    sinon.assert.calledTwice(listForRef);
   });
 
-  it('retries on failure/in_progress if waitAll', async () => {
-    const status = makeCombinedStatus('failure');
+  it('passes signal to requests', async () => {
+    const { signal } = new AbortController();
+    const status = makeCombinedStatus('success');
     const getCombinedStatusForRef = sinon.stub().resolves(status);
-    const checks = makeCheckRuns('in_progress');
+    const checks = makeCheckRuns('success');
     const listForRef = sinon.stub().resolves(checks);
-    const waitMs = 4000;
     const options = {
       octokit: {
         checks: { listForRef },
         repos: { getCombinedStatusForRef },
       },
-      retry: {
-        ...timeOptions,
-        maxTotalMs: waitMs,
+      signal,
+    };
+    assert.deepStrictEqual(
+      await fetchCiStatus(apiArgs, options),
+      [status.data, checks.data],
+    );
+    const requestArgs = { ...apiArgs, request: { signal } };
+    sinon.assert.calledOnceWithExactly(getCombinedStatusForRef, requestArgs);
+    sinon.assert.calledOnceWithExactly(
+      listForRef,
+      { ...apiArgs, request: { signal } },
+    );
+  });
+
+  it('passes signal to getBranch with requiredBranch', async () => {
+    const { signal } = new AbortController();
+    const getBranch = sinon.stub().resolves({ data: {} });
+    const options = {
+      octokit: {
+        checks: { listForRef: sinon.stub().resolves(makeCheckRuns()) },
+        repos: {
+          getBranch,
+          getCombinedStatusForRef:
+            sinon.stub().resolves(makeCombinedStatus()),
+        },
       },
-      waitAll: true,
+      requiredBranch: 'main',
+      signal,
+    };
+    await fetchCiStatus(apiArgs, options);
+    sinon.assert.calledOnceWithExactly(getBranch, {
+      owner: apiArgs.owner,
+      repo: apiArgs.repo,
+      branch: 'main',
+      request: { signal },
+    });
+  });
+
+  it('rejects with AbortError when aborted while waiting', async () => {
+    const abortController = new AbortController();
+    const getCombinedStatusForRef =
+      sinon.stub().resolves(makeCombinedStatus('pending'));
+    const listForRef = sinon.stub().resolves(makeCheckRuns('success'));
+    const options = {
+      octokit: {
+        checks: { listForRef },
+        repos: { getCombinedStatusForRef },
+      },
+      retry: timeOptions,
+      signal: abortController.signal,
     };
     const result = fetchCiStatus(apiArgs, options);
     await setImmediateP();
+    abortController.abort();
+    clock.tick(4000);
+    await assert.rejects(() => result, { name: 'AbortError' });
+    sinon.assert.calledOnce(getCombinedStatusForRef);
+  });
 
-    clock.tick(waitMs);
-    assert.deepStrictEqual(await result, [status.data, checks.data]);
-    sinon.assert.alwaysCalledWith(getCombinedStatusForRef, apiArgs);
-    sinon.assert.alwaysCalledWith(listForRef, apiArgs);
-    sinon.assert.calledTwice(getCombinedStatusForRef);
-    sinon.assert.calledTwice(listForRef);
+  it('rejects with AbortError for request error after abort', async () => {
+    const abortController = new AbortController();
+    const getCombinedStatusForRef = sinon.stub().callsFake(async () => {
+      abortController.abort();
+      // Octokit reports aborted fetch as RequestError with status 500
+      throw makeRequestError(500, undefined, 'The user aborted a request.');
+    });
+    const listForRef = sinon.stub().resolves(makeCheckRuns('success'));
+    const options = {
+      octokit: {
+        checks: { listForRef },
+        repos: { getCombinedStatusForRef },
+      },
+      signal: abortController.signal,
+    };
+    await assert.rejects(
+      () => fetchCiStatus(apiArgs, options),
+      { name: 'AbortError' },
+    );
   });
 
   describe('with options.debug', () => {
@@ -329,8 +1498,8 @@ describe('fetchCiStatus', () => {
       sinon.assert.callCount(getCombinedStatusForRef, 2);
 
       assert.deepStrictEqual(await result, [status.data, checks.data]);
-      sinon.assert.alwaysCalledWith(getCombinedStatusForRef, apiArgs);
-      sinon.assert.alwaysCalledWith(listForRef, apiArgs);
+      assertCalledConditionally(getCombinedStatusForRef, apiArgs);
+      assertCalledConditionally(listForRef, apiArgs);
       sinon.assert.callCount(getCombinedStatusForRef, 2);
       sinon.assert.callCount(listForRef, 2);
 
@@ -367,8 +1536,8 @@ describe('fetchCiStatus', () => {
       sinon.assert.callCount(getCombinedStatusForRef, 2);
 
       assert.deepStrictEqual(await result, [status.data, checks.data]);
-      sinon.assert.alwaysCalledWith(getCombinedStatusForRef, apiArgs);
-      sinon.assert.alwaysCalledWith(listForRef, apiArgs);
+      assertCalledConditionally(getCombinedStatusForRef, apiArgs);
+      assertCalledConditionally(listForRef, apiArgs);
       sinon.assert.callCount(getCombinedStatusForRef, 2);
       sinon.assert.callCount(listForRef, 2);
 
@@ -404,8 +1573,8 @@ describe('fetchCiStatus', () => {
       sinon.assert.callCount(listForRef, 2);
 
       assert.deepStrictEqual(await result, [status.data, checks.data]);
-      sinon.assert.alwaysCalledWith(getCombinedStatusForRef, apiArgs);
-      sinon.assert.alwaysCalledWith(listForRef, apiArgs);
+      assertCalledConditionally(getCombinedStatusForRef, apiArgs);
+      assertCalledConditionally(listForRef, apiArgs);
       sinon.assert.callCount(getCombinedStatusForRef, 2);
       sinon.assert.callCount(listForRef, 2);
 
@@ -440,8 +1609,8 @@ describe('fetchCiStatus', () => {
 
       clock.tick(waitMs);
       assert.deepStrictEqual(await result, [status.data, checks.data]);
-      sinon.assert.alwaysCalledWith(getCombinedStatusForRef, apiArgs);
-      sinon.assert.alwaysCalledWith(listForRef, apiArgs);
+      assertCalledConditionally(getCombinedStatusForRef, apiArgs);
+      assertCalledConditionally(listForRef, apiArgs);
       sinon.assert.calledTwice(getCombinedStatusForRef);
       sinon.assert.calledTwice(listForRef);
 
@@ -452,6 +1621,87 @@ describe('fetchCiStatus', () => {
       sinon.assert.callCount(debug, 1);
       sinon.assert.alwaysCalledOn(debug, options);
     });
+
+    it('logs retries after errors', async () => {
+      const status = makeCombinedStatus('success');
+      const getCombinedStatusForRef = sinon.stub().resolves(status);
+      getCombinedStatusForRef.onCall(0)
+        .rejects(makeRequestError(503, {}, 'Service Unavailable'));
+      const checks = makeCheckRuns('success');
+      const listForRef = sinon.stub().resolves(checks);
+      const debug = sinon.stub();
+      const options = {
+        debug,
+        octokit: {
+          checks: { listForRef },
+          repos: { getCombinedStatusForRef },
+        },
+        retry: timeOptions,
+      };
+      const result = fetchCiStatus(apiArgs, options);
+      await setImmediateP();
+      clock.tick(4000);
+      assert.deepStrictEqual(await result, [status.data, checks.data]);
+
+      sinon.assert.calledOnceWithExactly(
+        debug,
+        'Request failed (Service Unavailable).  Retry in 4 seconds...',
+      );
+      sinon.assert.alwaysCalledOn(debug, options);
+    });
+
+    it('logs waits for rate limit', async () => {
+      // Start on a whole second, for whole seconds until reset
+      clock.tick(1000 - (clock.now % 1000));
+      const headers = {
+        ...makeCombinedStatus().headers,
+        'x-ratelimit-limit': '60',
+        'x-ratelimit-remaining': '4',
+        'x-ratelimit-reset': String(Math.ceil(clock.now / 1000) + 60),
+      };
+      const status = { ...makeCombinedStatus('success'), headers };
+      const getCombinedStatusForRef = sinon.stub().resolves(status);
+      getCombinedStatusForRef.onCall(0).rejects(makeRequestError(
+        429,
+        { 'retry-after': '2' },
+        'Too Many Requests',
+      ));
+      getCombinedStatusForRef.onCall(1)
+        .resolves({ ...makeCombinedStatus('pending'), headers });
+      const checks = { ...makeCheckRuns('success'), headers };
+      const listForRef = sinon.stub().resolves(checks);
+      const debug = sinon.stub();
+      const options = {
+        debug,
+        octokit: {
+          checks: { listForRef },
+          repos: { getCombinedStatusForRef },
+        },
+        retry: timeOptions,
+      };
+      const result = fetchCiStatus(apiArgs, options);
+      await setImmediateP();
+      clock.tick(2000);
+      await setImmediateP();
+      clock.tick(29000);
+      assert.deepStrictEqual(await result, [status.data, checks.data]);
+      sinon.assert.callCount(getCombinedStatusForRef, 3);
+
+      sinon.assert.calledWithExactly(
+        debug.getCall(0),
+        'Rate limit exceeded (Too Many Requests).  Retry in 2 seconds...',
+      );
+      sinon.assert.calledWithExactly(
+        debug.getCall(1),
+        'Slowing polling for rate limit (4 requests remaining).',
+      );
+      sinon.assert.calledWithExactly(
+        debug.getCall(2),
+        'Waiting for 1/1 CI statuses.  Retry in 29 seconds...',
+      );
+      sinon.assert.callCount(debug, 3);
+      sinon.assert.alwaysCalledOn(debug, options);
+    });
   });
 
   describe('with instrumentation', () => {
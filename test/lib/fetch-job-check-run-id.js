@@ -0,0 +1,149 @@
+/**
+ * @copyright Copyright 2021 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const assert = require('assert');
+const sinon = require('sinon');
+
+const fetchJobCheckRunId = require('../../lib/fetch-job-check-run-id.js');
+const AbortController = require('../../test-lib/abort-controller.js');
+
+const apiArgs = {
+  owner: 'owner',
+  repo: 'repo',
+};
+
+const listArgs = {
+  ...apiArgs,
+  run_id: '123', // eslint-disable-line camelcase
+  per_page: 100, // eslint-disable-line camelcase
+};
+
+function makeJob(id, status, runnerName) {
+  return {
+    id,
+    name: `Job ${id}`,
+    status,
+    // eslint-disable-next-line camelcase
+    check_run_url: `https://api.github.com/repos/owner/repo/check-runs/${id}`,
+    runner_name: runnerName, // eslint-disable-line camelcase
+  };
+}
+
+function makeJobsResponse(jobs, totalCount = jobs.length) {
+  return {
+    data: {
+      total_count: totalCount, // eslint-disable-line camelcase
+      jobs,
+    },
+  };
+}
+
+describe('fetchJobCheckRunId', () => {
+  it('resolves check run ID of in-progress job on runner', async () => {
+    const listJobsForWorkflowRun = sinon.stub().resolves(makeJobsResponse([
+      makeJob(1, 'completed', 'runner 2'),
+      makeJob(2, 'in_progress', 'runner 1'),
+      makeJob(3, 'in_progress', 'runner 2'),
+    ]));
+    const octokit = { actions: { listJobsForWorkflowRun } };
+    const checkRunId = await fetchJobCheckRunId(
+      apiArgs,
+      { job: 'check', runId: '123', runnerName: 'runner 2' },
+      { octokit },
+    );
+    assert.strictEqual(checkRunId, 3);
+    sinon.assert.calledOnceWithExactly(
+      listJobsForWorkflowRun,
+      { ...listArgs, filter: 'latest' },
+    );
+  });
+
+  it('lists jobs of runAttempt, if set', async () => {
+    const listJobsForWorkflowRunAttempt = sinon.stub()
+      .resolves(makeJobsResponse([makeJob(4, 'in_progress', 'runner 1')]));
+    const octokit = {
+      actions: {
+        listJobsForWorkflowRun: () => {
+          throw new Error('should not be called');
+        },
+        listJobsForWorkflowRunAttempt,
+      },
+    };
+    const checkRunId = await fetchJobCheckRunId(
+      apiArgs,
+      {
+        job: 'check',
+        runId: '123',
+        runAttempt: '2',
+        runnerName: 'runner 1',
+      },
+      { octokit },
+    );
+    assert.strictEqual(checkRunId, 4);
+    sinon.assert.calledOnceWithExactly(
+      listJobsForWorkflowRunAttempt,
+      { ...listArgs, attempt_number: '2' }, // eslint-disable-line camelcase
+    );
+  });
+
+  it('fetches later pages until job is found', async () => {
+    const listJobsForWorkflowRun = sinon.stub();
+    listJobsForWorkflowRun.onCall(0)
+      .resolves(makeJobsResponse([makeJob(1, 'completed', 'runner 1')], 150));
+    listJobsForWorkflowRun.onCall(1)
+      .resolves(makeJobsResponse([makeJob(2, 'in_progress', 'runner 1')], 150));
+    const octokit = { actions: { listJobsForWorkflowRun } };
+    const checkRunId = await fetchJobCheckRunId(
+      apiArgs,
+      { job: 'check', runId: '123', runnerName: 'runner 1' },
+      { octokit },
+    );
+    assert.strictEqual(checkRunId, 2);
+    sinon.assert.calledTwice(listJobsForWorkflowRun);
+    sinon.assert.calledWithExactly(
+      listJobsForWorkflowRun.secondCall,
+      { ...listArgs, filter: 'latest', page: 2 },
+    );
+  });
+
+  it('resolves undefined if no job is running on runner', async () => {
+    const listJobsForWorkflowRun = sinon.stub()
+      .resolves(makeJobsResponse([makeJob(1, 'in_progress', 'runner 1')]));
+    const octokit = { actions: { listJobsForWorkflowRun } };
+    const checkRunId = await fetchJobCheckRunId(
+      apiArgs,
+      { job: 'check', runId: '123', runnerName: 'runner 2' },
+      { octokit },
+    );
+    assert.strictEqual(checkRunId, undefined);
+    sinon.assert.calledOnce(listJobsForWorkflowRun);
+  });
+
+  it('passes signal and rejects with AbortError if aborted', async () => {
+    const abortController = new AbortController();
+    const { signal } = abortController;
+    const listJobsForWorkflowRun = sinon.stub().callsFake(async () => {
+      abortController.abort();
+      throw Object.assign(new Error('The user aborted a request.'), {
+        status: 500,
+      });
+    });
+    const octokit = { actions: { listJobsForWorkflowRun } };
+    await assert.rejects(
+      () => fetchJobCheckRunId(
+        apiArgs,
+        { job: 'check', runId: '123', runnerName: 'runner 1' },
+        { octokit, signal },
+      ),
+      { name: 'AbortError' },
+    );
+    sinon.assert.calledOnceWithExactly(
+      listJobsForWorkflowRun,
+      { ...listArgs, filter: 'latest', request: { signal } },
+    );
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * @copyright Copyright 2021 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const assert = require('assert');
+
+const formatJUnit = require('../../lib/format-junit.js');
+
+function makeCiStatus(options) {
+  return {
+    owner: 'owner',
+    repo: 'repo',
+    sha: 'abc123',
+    statuses: [],
+    commitStatuses: [],
+    checkRuns: [],
+    missingCount: 0,
+    ...options,
+  };
+}
+
+describe('formatJUnit', () => {
+  it('formats empty testsuite if there are no statuses', () => {
+    const counts = 'tests="0" failures="0" errors="0" skipped="0"';
+    assert.strictEqual(
+      formatJUnit(makeCiStatus()),
+      '<?xml version="1.0" encoding="UTF-8"?>\n'
+      + `<testsuites name="hub-ci-status" ${counts}>\n`
+      + `  <testsuite name="owner/repo" ${counts}>\n`
+      + '    <properties>\n'
+      + '      <property name="sha" value="abc123"/>\n'
+      + '    </properties>\n'
+      + '  </testsuite>\n'
+      + '</testsuites>\n',
+    );
+  });
+
+  it('formats statuses and check runs as testcases', () => {
+    const commitStatus = {
+      state: 'pending',
+      context: 'ci',
+      description: 'Building',
+      target_url: 'https://ci.example.com/1', // eslint-disable-line camelcase
+    };
+    const checkRun = {
+      name: 'lint',
+      status: 'completed',
+      conclusion: 'failure',
+      output: { summary: '2 errors' },
+    };
+    const output = formatJUnit(makeCiStatus({
+      statuses: [
+        commitStatus,
+        {
+          state: 'failure',
+          context: 'lint',
+          // eslint-disable-next-line camelcase
+          target_url: 'https://example.com/runs/2',
+        },
+        { state: 'success', context: 'deploy' },
+      ],
+      commitStatuses: [commitStatus],
+      checkRuns: [checkRun],
+    }));
+    const counts = 'tests="3" failures="1" errors="0" skipped="1"';
+    assert(output.includes(`<testsuites name="hub-ci-status" ${counts}>`));
+    assert(
+      output.includes(
+        '    <testcase classname="owner/repo" name="ci">\n'
+        + '      <skipped message="pending: https://ci.example.com/1"/>\n'
+        + '    </testcase>\n'
+        + '    <testcase classname="owner/repo" name="lint">\n'
+        + '      <failure message="failure: https://example.com/runs/2"'
+        + ' type="failure">https://example.com/runs/2&#10;2 errors</failure>\n'
+        + '    </testcase>\n'
+        + '    <testcase classname="owner/repo" name="deploy"/>\n'
+        + '  </testsuite>\n',
+      ),
+      output,
+    );
+  });
+
+  it('uses state from statuses for stuck check runs', () => {
+    const output = formatJUnit(makeCiStatus({
+      statuses: [{ state: 'timed_out', context: 'lint' }],
+      checkRuns: [{ name: 'lint', status: 'queued', conclusion: null }],
+    }));
+    assert(
+      output.includes(
+        '    <testcase classname="owner/repo" name="lint">\n'
+        + '      <failure message="timed_out" type="timed_out"></failure>\n',
+      ),
+      output,
+    );
+  });
+
+  it('formats missingCount as skipped testcase', () => {
+    const output = formatJUnit(makeCiStatus({ missingCount: 2 }));
+    assert.match(output, / tests="1" failures="0" errors="0" skipped="1"/);
+    assert(
+      output.includes(
+        '    <testcase classname="owner/repo"'
+        + ' name="2 more statuses or checks">\n'
+        + '      <skipped message="pending"/>\n'
+        + '    </testcase>\n',
+      ),
+      output,
+    );
+  });
+
+  it('escapes XML special characters and removes invalid ones', () => {
+    const commitStatus = {
+      state: 'failure',
+      context: '<a href="x">&\'\u0001',
+      description: '</failure>\n',
+    };
+    const output = formatJUnit(makeCiStatus({
+      statuses: [commitStatus],
+      commitStatuses: [commitStatus],
+    }));
+    assert(
+      output.includes(
+        '<testcase classname="owner/repo"'
+        + ' name="&lt;a href=&quot;x&quot;&gt;&amp;&apos;">\n'
+        + '      <failure message="failure" type="failure">'
+        + '&lt;/failure&gt;&#10;</failure>\n',
+      ),
+      output,
+    );
+  });
+});
@@ -0,0 +1,110 @@
+/**
+ * @copyright Copyright 2021 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const assert = require('assert');
+
+const formatMarkdown = require('../../lib/format-markdown.js');
+
+function makeCiStatus(options) {
+  return {
+    owner: 'owner',
+    repo: 'repo',
+    sha: '4b825dc642cb6eb9a060e54bf8d69288fbee4904',
+    state: '',
+    statuses: [],
+    commitStatuses: [],
+    checkRuns: [],
+    missingCount: 0,
+    ...options,
+  };
+}
+
+describe('formatMarkdown', () => {
+  it('formats only heading if there are no statuses', () => {
+    assert.strictEqual(
+      formatMarkdown(makeCiStatus()),
+      '### CI status of owner/repo@4b825dc: ❔ no status\n',
+    );
+  });
+
+  it('formats statuses and check runs as table rows', () => {
+    const commitStatus = {
+      state: 'success',
+      context: 'ci',
+      description: 'Passed',
+      target_url: 'https://ci.example.com/1', // eslint-disable-line camelcase
+    };
+    const checkRun = {
+      name: 'lint',
+      status: 'completed',
+      conclusion: 'skipped',
+      started_at: '2018-05-04T01:14:52Z', // eslint-disable-line camelcase
+      completed_at: '2018-05-04T01:16:02Z', // eslint-disable-line camelcase
+      output: { title: 'Not run' },
+    };
+    assert.strictEqual(
+      formatMarkdown(makeCiStatus({
+        state: 'pending',
+        statuses: [
+          commitStatus,
+          { state: 'skipped', context: 'lint' },
+          { state: 'pending', context: 'deploy' },
+        ],
+        commitStatuses: [commitStatus],
+        checkRuns: [checkRun],
+        missingCount: 1,
+      })),
+      '### CI status of owner/repo@4b825dc: 🟡 pending\n'
+      + '\n'
+      + '| State | Context | Description | Duration |\n'
+      + '| :---: | ------- | ----------- | -------: |\n'
+      + '| ✅ | [ci](https://ci.example.com/1) | Passed |  |\n'
+      + '| ⚪ | lint | Not run | 1m 10s |\n'
+      + '| 🟡 | deploy |  |  |\n'
+      + '| 🟡 | 1 more statuses or checks |  |  |\n',
+    );
+  });
+
+  it('uses state from statuses for stuck check runs', () => {
+    const output = formatMarkdown(makeCiStatus({
+      state: 'timed_out',
+      statuses: [{ state: 'timed_out', context: 'lint' }],
+      checkRuns: [{ name: 'lint', status: 'queued', conclusion: null }],
+    }));
+    const lines = output.split('\n');
+    assert.strictEqual(
+      lines[0],
+      '### CI status of owner/repo@4b825dc: ❌ timed_out',
+    );
+    assert.strictEqual(lines[4], '| ❌ | lint |  |  |');
+  });
+
+  it('escapes context and description and encodes URL', () => {
+    const commitStatus = {
+      state: 'success',
+      context: 'a|b',
+      description: '*c*\nd',
+      // eslint-disable-next-line camelcase
+      target_url: 'https://example.com/a b(c)',
+    };
+    const output = formatMarkdown(makeCiStatus({
+      owner: 'own_er',
+      state: 'success',
+      statuses: [commitStatus],
+      commitStatuses: [commitStatus],
+    }));
+    const lines = output.split('\n');
+    assert.strictEqual(
+      lines[0],
+      '### CI status of own\\_er/repo@4b825dc: ✅ success',
+    );
+    assert.strictEqual(
+      lines[4],
+      '| ✅ | [a\\|b](https://example.com/a%20b%28c%29) | \\*c\\* d |  |',
+    );
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * @copyright Copyright 2021 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const assert = require('assert');
+
+const formatTap = require('../../lib/format-tap.js');
+
+function makeCiStatus(options) {
+  return {
+    owner: 'owner',
+    repo: 'repo',
+    sha: 'abc123',
+    statuses: [],
+    commitStatuses: [],
+    checkRuns: [],
+    missingCount: 0,
+    ...options,
+  };
+}
+
+describe('formatTap', () => {
+  it('formats empty plan if there are no statuses', () => {
+    assert.strictEqual(formatTap(makeCiStatus()), 'TAP version 13\n1..0\n');
+  });
+
+  it('formats statuses and check runs as test points', () => {
+    const commitStatus = {
+      state: 'success',
+      context: 'ci',
+      description: 'Passed',
+      target_url: 'https://ci.example.com/1', // eslint-disable-line camelcase
+    };
+    const checkRun = {
+      name: 'lint',
+      status: 'completed',
+      conclusion: 'failure',
+      html_url: 'https://example.com/runs/2', // eslint-disable-line camelcase
+      output: { summary: '2 errors' },
+    };
+    assert.strictEqual(
+      formatTap(makeCiStatus({
+        statuses: [
+          commitStatus,
+          { state: 'failure', context: 'lint' },
+          { state: 'pending', context: 'deploy' },
+        ],
+        commitStatuses: [commitStatus],
+        checkRuns: [checkRun],
+        missingCount: 1,
+      })),
+      'TAP version 13\n'
+      + '1..4\n'
+      + 'ok 1 - ci\n'
+      + '  ---\n'
+      + '  state: "success"\n'
+      + '  url: "https://ci.example.com/1"\n'
+      + '  description: "Passed"\n'
+      + '  ...\n'
+      + 'not ok 2 - lint\n'
+      + '  ---\n'
+      + '  status: "completed"\n'
+      + '  conclusion: "failure"\n'
+      + '  url: "https://example.com/runs/2"\n'
+      + '  summary: "2 errors"\n'
+      + '  ...\n'
+      + 'not ok 3 - deploy # TODO pending\n'
+      + '  ---\n'
+      + '  state: "pending"\n'
+      + '  ...\n'
+      + 'not ok 4 - 1 more statuses or checks # TODO pending\n'
+      + '  ---\n'
+      + '  state: "pending"\n'
+      + '  ...\n',
+    );
+  });
+
+  it('uses state from statuses for stuck check runs', () => {
+    assert.strictEqual(
+      formatTap(makeCiStatus({
+        statuses: [{ state: 'timed_out', context: 'lint' }],
+        checkRuns: [{ name: 'lint', status: 'queued', conclusion: null }],
+      })),
+      'TAP version 13\n'
+      + '1..1\n'
+      + 'not ok 1 - lint\n'
+      + '  ---\n'
+      + '  status: "queued"\n'
+      + '  ...\n',
+    );
+  });
+
+  it('escapes description and omits empty diagnostics', () => {
+    const commitStatus = {
+      state: 'error',
+      context: 'a#b\\c\nd',
+      description: null,
+      target_url: '', // eslint-disable-line camelcase
+    };
+    assert.strictEqual(
+      formatTap(makeCiStatus({
+        statuses: [commitStatus],
+        commitStatuses: [commitStatus],
+      })),
+      'TAP version 13\n'
+      + '1..1\n'
+      + 'not ok 1 - a\\#b\\\\c d\n'
+      + '  ---\n'
+      + '  state: "error"\n'
+      + '  ...\n',
+    );
+  });
+});
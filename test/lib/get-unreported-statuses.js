@@ -0,0 +1,58 @@
+/**
+ * @copyright Copyright 2021 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const assert = require('assert');
+
+const getUnreportedStatuses =
+  require('../../lib/get-unreported-statuses.js');
+
+describe('getUnreportedStatuses', () => {
+  it('returns empty Array if all checks were reported', () => {
+    assert.deepStrictEqual(
+      getUnreportedStatuses({
+        statuses: [
+          { state: 'success', context: 'ci' },
+          { state: 'failure', context: 'lint' },
+        ],
+        commitStatuses: [{ state: 'success', context: 'ci' }],
+        checkRuns: [{ status: 'completed', conclusion: 'failure' }],
+        missingCount: 0,
+      }),
+      [],
+    );
+  });
+
+  it('returns statuses after commit statuses and check runs', () => {
+    assert.deepStrictEqual(
+      getUnreportedStatuses({
+        statuses: [
+          { state: 'success', context: 'ci' },
+          { state: 'pending', context: 'deploy' },
+        ],
+        commitStatuses: [{ state: 'success', context: 'ci' }],
+        checkRuns: [],
+        missingCount: 0,
+      }),
+      [{ state: 'pending', context: 'deploy' }],
+    );
+  });
+
+  it('returns pending status for missingCount', () => {
+    assert.deepStrictEqual(
+      getUnreportedStatuses({
+        statuses: [{ state: 'pending', context: 'deploy' }],
+        commitStatuses: [],
+        checkRuns: [],
+        missingCount: 2,
+      }),
+      [
+        { state: 'pending', context: 'deploy' },
+        { state: 'pending', context: '2 more statuses or checks' },
+      ],
+    );
+  });
+});
@@ -319,6 +319,56 @@ describe('gitUtils', () => {
     });
   });
 
+  describe('.resolveBranch', () => {
+    it(`resolves HEAD to ${defaultBranch} on ${defaultBranch}`, async () => {
+      assert.strictEqual(
+        await gitUtils.resolveBranch('HEAD', gitOptions),
+        defaultBranch,
+      );
+    });
+
+    it('resolves branch name to itself', async () => {
+      assert.strictEqual(
+        await gitUtils.resolveBranch('branch1', gitOptions),
+        'branch1',
+      );
+    });
+
+    it('resolves remote-tracking branch without remote name', async () => {
+      await execFileOut(
+        'git',
+        ['update-ref', 'refs/remotes/remote1/rbranch/5', 'HEAD'],
+        gitOptions,
+      );
+      assert.strictEqual(
+        await gitUtils.resolveBranch('remote1/rbranch/5', gitOptions),
+        'rbranch/5',
+      );
+    });
+
+    it('rejects with Error for tag name', async () => {
+      await assert.rejects(
+        () => gitUtils.resolveBranch(TAGS[0], gitOptions),
+        /\bbranch\b/,
+      );
+    });
+
+    it('rejects with Error for commit hash', async () => {
+      const hash = await gitUtils.resolveCommit('HEAD', gitOptions);
+      await assert.rejects(
+        () => gitUtils.resolveBranch(hash, gitOptions),
+        /\bbranch\b/,
+      );
+    });
+
+    it('rejects with Error for unresolvable name', async () => {
+      await assert.rejects(
+        () => gitUtils.resolveBranch('notabranch', gitOptions),
+        /\bnotabranch\b/,
+      );
+    });
+  });
+
   describe('.resolveCommit', () => {
     let headHash;
     it('can resolve the hash of HEAD',
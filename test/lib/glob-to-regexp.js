@@ -0,0 +1,76 @@
+/**
+ * @copyright Copyright 2021 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const assert = require('assert');
+
+const globToRegExp = require('../../lib/glob-to-regexp.js');
+
+function assertMatches(glob, str) {
+  assert(
+    globToRegExp(glob).test(str),
+    `Expected ${JSON.stringify(glob)} to match ${JSON.stringify(str)}`,
+  );
+}
+
+function assertNotMatches(glob, str) {
+  assert(
+    !globToRegExp(glob).test(str),
+    `Expected ${JSON.stringify(glob)} not to match ${JSON.stringify(str)}`,
+  );
+}
+
+describe('globToRegExp', () => {
+  it('matches literal string exactly', () => {
+    assertMatches('codecov/patch', 'codecov/patch');
+    assertNotMatches('codecov/patch', 'codecov/patch2');
+    assertNotMatches('codecov/patch', 'xcodecov/patch');
+  });
+
+  it('matches RegExp special characters literally', () => {
+    assertMatches('Node.js (x64) $1 {a|b}+', 'Node.js (x64) $1 {a|b}+');
+    assertNotMatches('Node.js', 'Node_js');
+  });
+
+  it('matches any characters, including / and newline, for *', () => {
+    assertMatches('codecov/*', 'codecov/');
+    assertMatches('codecov/*', 'codecov/project/sub');
+    assertMatches('Test on * x64', 'Test on Node.js 10\n x64');
+    assertMatches('*', '');
+    assertNotMatches('codecov/*', 'codecov');
+  });
+
+  it('matches any single character for ?', () => {
+    assertMatches('a?c', 'abc');
+    assertNotMatches('a?c', 'ac');
+    assertNotMatches('a?c', 'abbc');
+  });
+
+  it('matches characters in set for [...]', () => {
+    assertMatches('[ab]x', 'bx');
+    assertMatches('[a-c]', 'b');
+    assertMatches('[]]', ']');
+    assertMatches('[\\^]', '^');
+    assertNotMatches('[ab]x', 'cx');
+  });
+
+  it('matches characters not in set for [!...] or [^...]', () => {
+    assertMatches('[!ab]x', 'cx');
+    assertMatches('[^ab]x', 'cx');
+    assertNotMatches('[!ab]x', 'ax');
+    assertNotMatches('[^ab]x', 'ax');
+  });
+
+  it('matches unterminated [ literally', () => {
+    assertMatches('a[b', 'a[b');
+  });
+
+  it('matches escaped characters literally', () => {
+    assertMatches('\\*\\?\\[a]', '*?[a]');
+    assertNotMatches('\\*', 'a');
+    assertMatches('a\\', 'a\\');
+  });
+});
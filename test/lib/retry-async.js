@@ -12,6 +12,7 @@ const timers = require('timers');
 const { promisify } = require('util');
 
 const retryAsync = require('../../lib/retry-async.js');
+const AbortController = require('../../test-lib/abort-controller.js');
 
 // TODO [engine:node@>=15]: import { setImmediate } from 'timers/promises';
 const setImmediateP = promisify(timers.setImmediate);
@@ -394,6 +395,249 @@ describe('retryAsync', () => {
     sinon.assert.alwaysCalledWithExactly(stub);
   });
 
+  it('waits at least getMinDelayMs of result', async () => {
+    const stubResult = 1;
+    const stub = sinon.stub();
+    stub.onFirstCall().returns(0);
+    stub.onSecondCall().returns(false);
+    stub.onThirdCall().returns(stubResult);
+    const getMinDelayMs = sinon.stub();
+    getMinDelayMs.onFirstCall().returns(3000);
+    const waitMs = 1000;
+    const result = retryAsync(
+      stub,
+      {
+        ...timeOptions,
+        getMinDelayMs,
+        waitMs,
+      },
+    );
+    sinon.assert.callCount(stub, 1);
+
+    await setImmediateP();
+    sinon.assert.calledOnceWithExactly(getMinDelayMs, 0);
+
+    clock.tick(3000 - 1);
+    await setImmediateP();
+    sinon.assert.callCount(stub, 1);
+
+    clock.tick(1);
+    await setImmediateP();
+    sinon.assert.callCount(stub, 2);
+    sinon.assert.calledWithExactly(getMinDelayMs.secondCall, false);
+
+    // Undefined getMinDelayMs uses waitMs
+    clock.tick(waitMs);
+    await setImmediateP();
+    sinon.assert.callCount(stub, 3);
+
+    assert.strictEqual(await result, stubResult);
+  });
+
+  it('does not wait less than waitMs for smaller getMinDelayMs', async () => {
+    const stubResult = 1;
+    const stub = sinon.stub();
+    stub.onFirstCall().returns(0);
+    stub.onSecondCall().returns(stubResult);
+    const waitMs = 1000;
+    const result = retryAsync(
+      stub,
+      {
+        ...timeOptions,
+        getMinDelayMs: () => 500,
+        waitMs,
+      },
+    );
+
+    await setImmediateP();
+    clock.tick(waitMs - 1);
+    await setImmediateP();
+    sinon.assert.callCount(stub, 1);
+
+    clock.tick(1);
+    assert.strictEqual(await result, stubResult);
+    sinon.assert.callCount(stub, 2);
+  });
+
+  it('reduces getMinDelayMs to avoid exceeding maxTotalMs', async () => {
+    const stubResult = false;
+    const stub = sinon.stub().returns(stubResult);
+    const maxTotalMs = 5000;
+    const result = retryAsync(
+      stub,
+      {
+        ...timeOptions,
+        getMinDelayMs: () => 10000,
+        maxTotalMs,
+        waitMs: 1000,
+      },
+    );
+
+    await setImmediateP();
+    clock.tick(maxTotalMs);
+    assert.strictEqual(await result, stubResult);
+    sinon.assert.callCount(stub, 2);
+  });
+
+  it('retries rejection accepted by shouldRetryError', async () => {
+    const stubResult = 1;
+    const stubCause = new Error('test');
+    const stub = sinon.stub().resolves(stubResult);
+    stub.onFirstCall().rejects(stubCause);
+    const shouldRetryError = sinon.stub().returns(true);
+    const waitMs = 1000;
+    const result = retryAsync(
+      stub,
+      {
+        ...timeOptions,
+        shouldRetryError,
+        waitMs,
+      },
+    );
+
+    await setImmediateP();
+    sinon.assert.calledOnceWithExactly(shouldRetryError, stubCause);
+    assert.strictEqual(clock.countTimers(), 1);
+
+    clock.tick(waitMs);
+    assert.strictEqual(await result, stubResult);
+    sinon.assert.callCount(stub, 2);
+  });
+
+  it('rejects immediately if shouldRetryError returns false', async () => {
+    const stubCause = new Error('test');
+    const stub = sinon.stub().rejects(stubCause);
+    const shouldRetryError = sinon.stub().returns(false);
+    await assert.rejects(
+      () => retryAsync(
+        stub,
+        {
+          setTimeout: neverCalled,
+          shouldRetry: neverCalled,
+          shouldRetryError,
+        },
+      ),
+      (cause) => cause === stubCause,
+    );
+    sinon.assert.calledOnceWithExactly(stub);
+    sinon.assert.calledOnceWithExactly(shouldRetryError, stubCause);
+  });
+
+  it('rejects after maxErrorRetries consecutive rejections', async () => {
+    const stubCause = new Error('test');
+    const stub = sinon.stub().rejects(stubCause);
+    stub.onSecondCall().resolves(false);
+    const waitMs = 1000;
+    const result = retryAsync(
+      stub,
+      {
+        ...timeOptions,
+        maxErrorRetries: 1,
+        shouldRetryError: () => true,
+        waitMs,
+      },
+    );
+    const rejected = assert.rejects(
+      () => result,
+      (cause) => cause === stubCause,
+    );
+
+    // rejects, resolves (resets count), rejects, rejects
+    for (let i = 0; i < 3; i += 1) {
+      await setImmediateP(); // eslint-disable-line no-await-in-loop
+      clock.tick(waitMs);
+    }
+
+    await rejected;
+    sinon.assert.callCount(stub, 4);
+  });
+
+  it('rejects with rejection reason after maxTotalMs', async () => {
+    const stubCause = new Error('test');
+    const stub = sinon.stub().rejects(stubCause);
+    const maxTotalMs = 5000;
+    const result = retryAsync(
+      stub,
+      {
+        ...timeOptions,
+        maxErrorRetries: Infinity,
+        maxTotalMs,
+        shouldRetryError: () => true,
+        waitMs: maxTotalMs,
+      },
+    );
+    const rejected = assert.rejects(
+      () => result,
+      (cause) => cause === stubCause,
+    );
+
+    await setImmediateP();
+    clock.tick(maxTotalMs);
+    await rejected;
+    sinon.assert.callCount(stub, 2);
+  });
+
+  it('rejects with AbortError without calling operation if aborted', () => {
+    const abortController = new AbortController();
+    abortController.abort();
+    return assert.rejects(
+      () => retryAsync(neverCalled, { signal: abortController.signal }),
+      { name: 'AbortError' },
+    );
+  });
+
+  it('passes signal to setTimeout', async () => {
+    const abortController = new AbortController();
+    const { signal } = abortController;
+    const retrySetTimeout = sinon.stub().resolves();
+    const stub = sinon.stub().returns(false);
+    stub.onSecondCall().returns(true);
+    await retryAsync(stub, { setTimeout: retrySetTimeout, signal, waitMs: 1 });
+    sinon.assert.calledOnceWithExactly(retrySetTimeout, 1, undefined, {
+      signal,
+    });
+  });
+
+  it('rejects with AbortError if aborted during wait', async () => {
+    const abortController = new AbortController();
+    const stub = sinon.stub().returns(false);
+    const result = retryAsync(
+      stub,
+      {
+        ...timeOptions,
+        signal: abortController.signal,
+        waitMs: 1000,
+      },
+    );
+    await setImmediateP();
+    abortController.abort();
+
+    // setTimeout from FakeTimers ignores signal.  Stops after wait.
+    clock.tick(1000);
+    await assert.rejects(() => result, { name: 'AbortError' });
+    sinon.assert.calledOnce(stub);
+  });
+
+  it('rejects with AbortError if aborted during operation', async () => {
+    const abortController = new AbortController();
+    const stub = sinon.stub().callsFake(() => {
+      abortController.abort();
+      return Promise.reject(new Error('aborted request'));
+    });
+    await assert.rejects(
+      () => retryAsync(
+        stub,
+        {
+          setTimeout: neverCalled,
+          shouldRetryError: () => true,
+          signal: abortController.signal,
+        },
+      ),
+      { name: 'AbortError' },
+    );
+    sinon.assert.calledOnce(stub);
+  });
+
   // Prefer consistent formatting of arrow functions passed to it()
   /* eslint-disable arrow-body-style */
 
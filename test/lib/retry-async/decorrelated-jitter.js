@@ -0,0 +1,111 @@
+/**
+ * @copyright Copyright 2021 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const assert = require('assert');
+const sinon = require('sinon');
+
+const decorrelatedJitter =
+  require('../../../lib/retry-async/decorrelated-jitter.js');
+
+describe('retryAsync.decorrelatedJitter', () => {
+  it('returns values between initial and factor times previous', () => {
+    const random = sinon.stub();
+    random.onCall(0).returns(0.5);
+    random.onCall(1).returns(1);
+    random.onCall(2).returns(0);
+    random.onCall(3).returns(0.25);
+    assert.deepStrictEqual(
+      [...decorrelatedJitter(3, 2, Infinity, 4, random)],
+      [4, 12, 2, 3],
+    );
+    sinon.assert.callCount(random, 4);
+  });
+
+  it('limits to maximum value', () => {
+    const random = sinon.stub().returns(1);
+    assert.deepStrictEqual(
+      [...decorrelatedJitter(3, 1, 10, 4, random)],
+      [3, 9, 10, 10],
+    );
+  });
+
+  it('uses Math.random by default', () => {
+    for (const value of decorrelatedJitter(3, 1, 100, 10)) {
+      assert(value >= 1 && value <= 100, `${value} out of range`);
+    }
+  });
+
+  it('yields 0 times for 0 count', () => {
+    assert.deepStrictEqual(
+      [...decorrelatedJitter(3, 1, Infinity, 0)],
+      [],
+    );
+  });
+
+  it('throws TypeError for no args', () => {
+    assert.throws(
+      () => decorrelatedJitter(),
+      TypeError,
+    );
+  });
+
+  it('throws TypeError for non-number factor', () => {
+    assert.throws(
+      () => decorrelatedJitter({}),
+      TypeError,
+    );
+  });
+
+  it('throws TypeError for non-number initial', () => {
+    assert.throws(
+      () => decorrelatedJitter(3, {}),
+      TypeError,
+    );
+  });
+
+  it('throws TypeError for non-number maxValue', () => {
+    assert.throws(
+      () => decorrelatedJitter(3, 1, {}),
+      TypeError,
+    );
+  });
+
+  it('throws RangeError for NaN maxValue', () => {
+    assert.throws(
+      () => decorrelatedJitter(3, 1, NaN, 4),
+      RangeError,
+    );
+  });
+
+  it('throws TypeError for non-number count', () => {
+    assert.throws(
+      () => decorrelatedJitter(3, 1, 1, {}),
+      TypeError,
+    );
+  });
+
+  it('throws RangeError for negative count', () => {
+    assert.throws(
+      () => decorrelatedJitter(3, 1, 1, -1),
+      RangeError,
+    );
+  });
+
+  it('throws RangeError for non-integer count', () => {
+    assert.throws(
+      () => decorrelatedJitter(3, 1, 1, 1.5),
+      RangeError,
+    );
+  });
+
+  it('throws TypeError for non-function random', () => {
+    assert.throws(
+      () => decorrelatedJitter(3, 1, 1, 1, 0.5),
+      TypeError,
+    );
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * @copyright Copyright 2021 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const assert = require('assert');
+const sinon = require('sinon');
+
+const fullJitter = require('../../../lib/retry-async/full-jitter.js');
+
+describe('retryAsync.fullJitter', () => {
+  it('returns an iterable of random values between 0 and each value', () => {
+    const random = sinon.stub();
+    random.onCall(0).returns(0);
+    random.onCall(1).returns(0.5);
+    random.onCall(2).returns(0.999);
+    assert.deepStrictEqual(
+      [...fullJitter([4, 4, 4], random)].map(Math.round),
+      [0, 2, 4],
+    );
+    sinon.assert.calledThrice(random);
+  });
+
+  it('uses Math.random by default', () => {
+    for (const value of fullJitter([1, 10, 100])) {
+      assert(value >= 0 && value <= 100, `${value} out of range`);
+    }
+  });
+
+  it('closes values iterator when closed', () => {
+    const values = {
+      next: () => ({ done: false, value: 1 }),
+      return: sinon.stub().returns({ done: true }),
+    };
+    const jitter = fullJitter({ [Symbol.iterator]: () => values });
+    jitter.next();
+    jitter.return();
+    sinon.assert.calledOnce(values.return);
+  });
+
+  it('yields 0 times for empty values', () => {
+    assert.deepStrictEqual([...fullJitter([])], []);
+  });
+
+  it('throws TypeError for no args', () => {
+    assert.throws(
+      () => fullJitter(),
+      TypeError,
+    );
+  });
+
+  it('throws TypeError for non-Iterable values', () => {
+    assert.throws(
+      () => fullJitter(4),
+      TypeError,
+    );
+  });
+
+  it('throws TypeError for non-function random', () => {
+    assert.throws(
+      () => fullJitter([1], 0.5),
+      TypeError,
+    );
+  });
+});
@@ -0,0 +1,258 @@
+/**
+ * @copyright Copyright 2021 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const assert = require('assert');
+
+const selectStatuses = require('../../lib/select-statuses.js');
+const { makeCheckRuns, makeCombinedStatus } =
+  require('../../test-lib/api-responses.js');
+
+function makeJobCheckRun(name, url) {
+  return {
+    ...makeCheckRuns('success').data.check_runs[0],
+    name,
+    html_url: url, // eslint-disable-line camelcase
+    details_url: url, // eslint-disable-line camelcase
+  };
+}
+
+describe('selectStatuses', () => {
+  const { statuses } = makeCombinedStatus('success', 'failure').data;
+  const { check_runs: checkRuns } =
+    makeCheckRuns('success', 'failure').data;
+
+  it('returns all statuses and check runs by default', () => {
+    assert.deepStrictEqual(selectStatuses(statuses, checkRuns), {
+      statuses,
+      checkRuns,
+      missingContexts: [],
+      missingCount: 0,
+      stuckStatuses: [],
+      stuckCheckRuns: [],
+    });
+  });
+
+  it('omits superseded check runs', () => {
+    const rerun = { ...checkRuns[1], name: checkRuns[0].name };
+    assert.deepStrictEqual(selectStatuses([], [checkRuns[0], rerun]), {
+      statuses: [],
+      checkRuns: [rerun],
+      missingContexts: [],
+      missingCount: 0,
+      stuckStatuses: [],
+      stuckCheckRuns: [],
+    });
+  });
+
+  it('omits statuses and check runs rejected by contextFilter', () => {
+    const included = new Set(['security/brakeman', 'mighty_readme_2']);
+    const contextFilter = (name) => included.has(name);
+    assert.deepStrictEqual(
+      selectStatuses(statuses, checkRuns, { contextFilter }),
+      {
+        statuses: [statuses[1]],
+        checkRuns: [checkRuns[1]],
+        missingContexts: [],
+        missingCount: 0,
+        stuckStatuses: [],
+        stuckCheckRuns: [],
+      },
+    );
+  });
+
+  it('omits check runs for excludeJob', () => {
+    const runUrl = 'https://github.com/owner/repo/actions/runs/123';
+    const current = makeJobCheckRun('test', `${runUrl}/job/1`);
+    const currentMatrix =
+      makeJobCheckRun('test (12, ubuntu)', `${runUrl}/job/2`);
+    const otherJob = makeJobCheckRun('lint', `${runUrl}/job/3`);
+    const otherRun = makeJobCheckRun(
+      'test',
+      'https://github.com/owner/repo/actions/runs/456/job/4',
+    );
+    const otherName = makeJobCheckRun('tests', `${runUrl}/job/5`);
+    const runs = [current, currentMatrix, otherJob, otherRun, otherName]
+      .map((checkRun, i) => ({ ...checkRun, id: i + 1 }));
+    assert.deepStrictEqual(
+      selectStatuses([], runs, { excludeJob: { job: 'test', runId: '123' } }),
+      {
+        statuses: [],
+        checkRuns: runs.slice(2),
+        missingContexts: [],
+        missingCount: 0,
+        stuckStatuses: [],
+        stuckCheckRuns: [],
+      },
+    );
+  });
+
+  it('omits only check run with excludeJob.checkRunId', () => {
+    const runUrl = 'https://github.com/owner/repo/actions/runs/123';
+    // Job with a name which differs from the job ID
+    const current = makeJobCheckRun('Deploy gate', `${runUrl}/job/7`);
+    const sameName = makeJobCheckRun('test', `${runUrl}/job/8`);
+    const runs = [{ ...current, id: 7 }, { ...sameName, id: 8 }];
+    assert.deepStrictEqual(
+      selectStatuses([], runs, {
+        excludeJob: { job: 'test', runId: '123', checkRunId: 7 },
+      }),
+      {
+        statuses: [],
+        checkRuns: [runs[1]],
+        missingContexts: [],
+        missingCount: 0,
+        stuckStatuses: [],
+        stuckCheckRuns: [],
+      },
+    );
+  });
+
+  it('returns only required statuses and check runs', () => {
+    const requiredChecks = [
+      { context: 'security/brakeman' },
+      { context: 'mighty_readme' },
+    ];
+    assert.deepStrictEqual(
+      selectStatuses(statuses, checkRuns, { requiredChecks }),
+      {
+        statuses: [statuses[1]],
+        checkRuns: [checkRuns[0]],
+        missingContexts: [],
+        missingCount: 0,
+        stuckStatuses: [],
+        stuckCheckRuns: [],
+      },
+    );
+  });
+
+  it('returns contexts of required checks which are missing', () => {
+    const requiredChecks = [
+      { context: 'security/brakeman' },
+      { context: 'deploy' },
+    ];
+    assert.deepStrictEqual(
+      selectStatuses(statuses, checkRuns, { requiredChecks }),
+      {
+        statuses: [statuses[1]],
+        checkRuns: [],
+        missingContexts: ['deploy'],
+        missingCount: 0,
+        stuckStatuses: [],
+        stuckCheckRuns: [],
+      },
+    );
+  });
+
+  it('requires check runs from required app', () => {
+    const requiredChecks = [
+      { context: 'mighty_readme', appId: 1 },
+      { context: 'mighty_readme_2', appId: 2 },
+    ];
+    assert.deepStrictEqual(
+      selectStatuses([], checkRuns, { requiredChecks }),
+      {
+        statuses: [],
+        checkRuns: [checkRuns[0]],
+        missingContexts: ['mighty_readme_2'],
+        missingCount: 0,
+        stuckStatuses: [],
+        stuckCheckRuns: [],
+      },
+    );
+  });
+
+  it('omits missing contexts rejected by contextFilter', () => {
+    const requiredChecks = [{ context: 'deploy' }, { context: 'coverage' }];
+    const excluded = new Set(['coverage']);
+    const contextFilter = (name) => !excluded.has(name);
+    assert.deepStrictEqual(
+      selectStatuses([], [], { contextFilter, requiredChecks }),
+      {
+        statuses: [],
+        checkRuns: [],
+        missingContexts: ['deploy'],
+        missingCount: 0,
+        stuckStatuses: [],
+        stuckCheckRuns: [],
+      },
+    );
+  });
+
+  it('returns expected patterns which do not match', () => {
+    const expect = ['security/*', 'mighty_readme_?', 'deploy*', 'lint'];
+    assert.deepStrictEqual(
+      selectStatuses(statuses, checkRuns, { expect }),
+      {
+        statuses,
+        checkRuns,
+        missingContexts: ['deploy*', 'lint'],
+        missingCount: 0,
+        stuckStatuses: [],
+        stuckCheckRuns: [],
+      },
+    );
+  });
+
+  it('does not return expected patterns matching missing contexts', () => {
+    const requiredChecks = [{ context: 'deploy' }];
+    const expect = ['deploy'];
+    assert.deepStrictEqual(
+      selectStatuses([], [], { expect, requiredChecks }),
+      {
+        statuses: [],
+        checkRuns: [],
+        missingContexts: ['deploy'],
+        missingCount: 0,
+        stuckStatuses: [],
+        stuckCheckRuns: [],
+      },
+    );
+  });
+
+  it('does not match expected patterns to excluded contexts', () => {
+    const excluded = new Set(['mighty_readme']);
+    const contextFilter = (name) => !excluded.has(name);
+    const expect = ['mighty_readme'];
+    const result = selectStatuses([], checkRuns, { contextFilter, expect });
+    assert.deepStrictEqual(result.missingContexts, ['mighty_readme']);
+  });
+
+  it('returns statuses and check runs pending before stuckAfterMs', () => {
+    const { statuses: pendingStatuses } =
+      makeCombinedStatus('pending', 'pending', 'success').data;
+    const { check_runs: pendingCheckRuns } =
+      makeCheckRuns('queued', 'success').data;
+    // 1 hour after check runs started, years after statuses were created
+    const now = Date.parse('2018-05-04T02:14:52Z');
+    const result = selectStatuses(
+      pendingStatuses,
+      pendingCheckRuns,
+      { now, stuckAfterMs: 30 * 60 * 1000 },
+    );
+    assert.deepStrictEqual(result.stuckStatuses, pendingStatuses.slice(0, 2));
+    assert.deepStrictEqual(result.stuckCheckRuns, [pendingCheckRuns[0]]);
+
+    const result2 = selectStatuses(
+      pendingStatuses,
+      pendingCheckRuns,
+      { now, stuckAfterMs: 2 * 60 * 60 * 1000 },
+    );
+    assert.deepStrictEqual(result2.stuckStatuses, pendingStatuses.slice(0, 2));
+    assert.deepStrictEqual(result2.stuckCheckRuns, []);
+  });
+
+  it('returns number of statuses and check runs below minChecks', () => {
+    assert.strictEqual(
+      selectStatuses(statuses, checkRuns, { minChecks: 6 }).missingCount,
+      2,
+    );
+    assert.strictEqual(
+      selectStatuses(statuses, checkRuns, { minChecks: 4 }).missingCount,
+      0,
+    );
+  });
+});
@@ -0,0 +1,51 @@
+/**
+ * @copyright Copyright 2021 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const assert = require('assert');
+
+const { setTimeout: setTimeoutP } =
+  require('../../lib/timers-promises.js');
+const AbortController = require('../../test-lib/abort-controller.js');
+
+describe('timersPromises', () => {
+  describe('setTimeout', () => {
+    it('resolves with value after delay', async () => {
+      const value = {};
+      assert.strictEqual(await setTimeoutP(1, value), value);
+    });
+
+    it('resolves with value if not aborted', async () => {
+      const value = {};
+      const abortController = new AbortController();
+      assert.strictEqual(
+        await setTimeoutP(1, value, { signal: abortController.signal }),
+        value,
+      );
+    });
+
+    it('rejects with AbortError if already aborted', async () => {
+      const abortController = new AbortController();
+      abortController.abort();
+      await assert.rejects(
+        () => setTimeoutP(1, undefined, { signal: abortController.signal }),
+        { name: 'AbortError', code: 'ABORT_ERR' },
+      );
+    });
+
+    it('rejects with AbortError when aborted', async () => {
+      const abortController = new AbortController();
+      // Note: A timer which is not cleared would delay exit of mocha
+      const result =
+        setTimeoutP(60000, undefined, { signal: abortController.signal });
+      abortController.abort();
+      await assert.rejects(
+        () => result,
+        { name: 'AbortError', code: 'ABORT_ERR' },
+      );
+    });
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * @copyright Copyright 2021 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const assert = require('assert');
+const sinon = require('sinon');
+const stream = require('stream');
+
+const WatchView = require('../../lib/watch-view.js');
+const { makeCheckRuns, makeCombinedStatus } =
+  require('../../test-lib/api-responses.js');
+
+// Erase the given number of rows above the cursor
+function erase(rowCount) {
+  return `\u001B[${rowCount}A\u001B[0J`;
+}
+
+function makeCiStatus() {
+  const { statuses } = makeCombinedStatus('success').data;
+  const { check_runs: checkRuns } = makeCheckRuns('success', 'queued').data;
+  // eslint-disable-next-line camelcase
+  checkRuns[1] = { ...checkRuns[1], completed_at: null };
+  return {
+    commitStatuses: statuses,
+    checkRuns,
+    statuses: [
+      { state: 'success', context: 'ci' },
+      { state: 'success', context: 'done' },
+      { state: 'pending', context: 'test' },
+    ],
+  };
+}
+
+describe('WatchView', () => {
+  let testStream;
+  beforeEach(() => {
+    testStream = new stream.PassThrough({ encoding: 'utf8' });
+  });
+
+  it('renders statuses with elapsed time of check runs', () => {
+    const now = sinon.stub().returns(Date.parse('2018-05-04T01:16:00Z'));
+    const watchView = new WatchView(testStream, { now });
+    watchView.update(makeCiStatus());
+    watchView.render('status');
+    assert.strictEqual(
+      testStream.read(),
+      '✔︎\tci  \n✔︎\tdone\t0s\n●\ttest\t1m 8s\nstatus\n',
+    );
+  });
+
+  it('renders "no status" if no statuses', () => {
+    const watchView = new WatchView(testStream);
+    watchView.update({ commitStatuses: [], checkRuns: [], statuses: [] });
+    watchView.render('status');
+    assert.strictEqual(testStream.read(), 'no status\nstatus\n');
+  });
+
+  it('erases previous render', () => {
+    const watchView = new WatchView(testStream);
+    watchView.update(makeCiStatus());
+    watchView.render('status');
+    testStream.read();
+    watchView.render('status2');
+    assert(testStream.read().startsWith(erase(4)));
+  });
+
+  it('erases rows of wrapped lines', () => {
+    testStream.columns = 10;
+    const watchView = new WatchView(testStream);
+    watchView.render('a'.repeat(25));
+    testStream.read();
+    watchView.clear();
+    assert.strictEqual(testStream.read(), erase(3));
+  });
+
+  it('clear does nothing if not rendered', () => {
+    const watchView = new WatchView(testStream);
+    watchView.clear();
+    assert.strictEqual(testStream.read(), null);
+  });
+
+  it('wait renders countdown each second, then polling', async () => {
+    const watchView = new WatchView(testStream);
+    const sleep = sinon.stub().resolves();
+    await watchView.wait(2500, sleep);
+    assert.deepStrictEqual(
+      sleep.args,
+      [[500], [1000], [1000]],
+    );
+    assert.strictEqual(
+      testStream.read(),
+      `Next poll in 3s...\n${erase(1)}Next poll in 2s...\n${
+        erase(1)}Next poll in 1s...\n${erase(1)}Polling...\n`,
+    );
+  });
+});
@@ -0,0 +1,232 @@
+/**
+ * @copyright Copyright 2021 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const assert = require('assert');
+
+const {
+  checkRunToStatus,
+  formatStatuses,
+  getLatestCheckRuns,
+  getState,
+  getStateCategory,
+  getStateColor,
+  getStateMarker,
+  stateToExitCode,
+} = require('../status.js');
+const { makeCheckRuns } = require('../test-lib/api-responses.js');
+
+describe('status', () => {
+  describe('checkRunToStatus', () => {
+    it('converts completed check run using conclusion', () => {
+      const [checkRun] = makeCheckRuns('failure').data.check_runs;
+      assert.deepStrictEqual(checkRunToStatus(checkRun), {
+        state: 'failure',
+        context: 'mighty_readme',
+        // eslint-disable-next-line camelcase
+        target_url: 'https://github.com/github/hello-world/runs/4',
+      });
+    });
+
+    for (const status of ['queued', 'in_progress']) {
+      it(`converts ${status} check run to pending`, () => {
+        const [checkRun] = makeCheckRuns(status).data.check_runs;
+        assert.strictEqual(checkRunToStatus(checkRun).state, 'pending');
+      });
+    }
+  });
+
+  describe('formatStatuses', () => {
+    it('returns empty string for no statuses', () => {
+      assert.strictEqual(formatStatuses([]), '');
+    });
+
+    it('formats statuses without trailing newline', () => {
+      assert.strictEqual(
+        formatStatuses([
+          { state: 'success', context: 'a' },
+          { state: 'failure', context: 'b' },
+        ]),
+        '✔︎\ta\n✖︎\tb',
+      );
+    });
+  });
+
+  describe('getLatestCheckRuns', () => {
+    it('returns latest started attempt of each check', () => {
+      const [run1, run2, run3] =
+        makeCheckRuns('failure', 'success', 'success').data.check_runs;
+      const rerun1 = {
+        ...run3,
+        name: run1.name,
+        started_at: '2018-05-04T02:00:00Z', // eslint-disable-line camelcase
+      };
+      const olderRerun1 = {
+        ...rerun1,
+        id: 10,
+        started_at: '2018-05-04T01:00:00Z', // eslint-disable-line camelcase
+      };
+      assert.deepStrictEqual(
+        getLatestCheckRuns([run1, run2, rerun1, olderRerun1]),
+        [run2, rerun1],
+      );
+    });
+
+    it('returns highest id if start time is equal or missing', () => {
+      const [run1, run2] = makeCheckRuns('failure', 'success').data.check_runs;
+      const rerun1 = { ...run2, name: run1.name };
+      const queuedRerun1 = {
+        ...rerun1,
+        id: 10,
+        started_at: null, // eslint-disable-line camelcase
+      };
+      assert.deepStrictEqual(getLatestCheckRuns([rerun1, run1]), [rerun1]);
+      assert.deepStrictEqual(
+        getLatestCheckRuns([run1, queuedRerun1, rerun1]),
+        [queuedRerun1],
+      );
+    });
+
+    it('does not combine check runs from different apps', () => {
+      const [run1, run2] = makeCheckRuns('failure', 'success').data.check_runs;
+      const otherAppRun = {
+        ...run2,
+        name: run1.name,
+        app: { ...run2.app, id: 2 },
+      };
+      assert.deepStrictEqual(
+        getLatestCheckRuns([run1, otherAppRun]),
+        [run1, otherAppRun],
+      );
+    });
+  });
+
+  describe('getState', () => {
+    it('returns empty string for no statuses', () => {
+      assert.strictEqual(getState([]), '');
+    });
+
+    it('returns empty string for unrecognized states', () => {
+      assert.strictEqual(getState([{ state: 'test123' }]), '');
+    });
+
+    it('returns state with highest severity', () => {
+      assert.strictEqual(
+        getState([
+          { state: 'success' },
+          { state: 'failure' },
+          { state: 'pending' },
+        ]),
+        'failure',
+      );
+    });
+
+    it('returns success for skipped and success', () => {
+      assert.strictEqual(
+        getState([{ state: 'skipped' }, { state: 'success' }]),
+        'success',
+      );
+    });
+
+    it('returns skipped if all statuses are skipped', () => {
+      assert.strictEqual(getState([{ state: 'skipped' }]), 'skipped');
+    });
+
+    it('returns stale for stale and pending', () => {
+      assert.strictEqual(
+        getState([{ state: 'pending' }, { state: 'stale' }]),
+        'stale',
+      );
+    });
+  });
+
+  describe('getStateCategory', () => {
+    const stateCategories = {
+      success: 'success',
+      action_required: 'failure', // eslint-disable-line camelcase
+      cancelled: 'failure',
+      error: 'failure',
+      failure: 'failure',
+      stale: 'failure',
+      timed_out: 'failure', // eslint-disable-line camelcase
+      neutral: 'neutral',
+      skipped: 'neutral',
+      pending: 'pending',
+    };
+    for (const [state, category] of Object.entries(stateCategories)) {
+      it(`returns ${category} for ${state}`, () => {
+        assert.strictEqual(getStateCategory(state), category);
+      });
+    }
+
+    it('returns undefined for unrecognized state', () => {
+      assert.strictEqual(getStateCategory('test123'), undefined);
+    });
+  });
+
+  describe('getStateColor', () => {
+    it('returns color for state category', () => {
+      assert.strictEqual(getStateColor('success'), 32);
+      assert.strictEqual(getStateColor('timed_out'), 31);
+      assert.strictEqual(getStateColor('skipped'), 30);
+      assert.strictEqual(getStateColor('pending'), 33);
+    });
+
+    it('returns undefined for unrecognized state', () => {
+      assert.strictEqual(getStateColor('test123'), undefined);
+    });
+  });
+
+  describe('getStateMarker', () => {
+    it('returns marker without color by default', () => {
+      assert.strictEqual(getStateMarker('success'), '✔︎');
+    });
+
+    it('returns colorized marker with useColor', () => {
+      assert.strictEqual(
+        getStateMarker('pending', true),
+        '\u001B[33m●\u001B[39m',
+      );
+    });
+
+    it('returns colorized failure marker for failed states', () => {
+      assert.strictEqual(
+        getStateMarker('cancelled', true),
+        '\u001B[31m✖︎\u001B[39m',
+      );
+    });
+
+    it('returns empty string for unrecognized state', () => {
+      assert.strictEqual(getStateMarker('test123', true), '');
+    });
+  });
+
+  describe('stateToExitCode', () => {
+    it('returns 0 for success', () => {
+      assert.strictEqual(stateToExitCode('success'), 0);
+    });
+
+    it('returns 0 for skipped', () => {
+      assert.strictEqual(stateToExitCode('skipped'), 0);
+    });
+
+    it('returns 1 for failure', () => {
+      assert.strictEqual(stateToExitCode('failure'), 1);
+    });
+
+    it('returns 1 for stale', () => {
+      assert.strictEqual(stateToExitCode('stale'), 1);
+    });
+
+    it('returns 2 for pending', () => {
+      assert.strictEqual(stateToExitCode('pending'), 2);
+    });
+
+    it('returns 3 for empty state', () => {
+      assert.strictEqual(stateToExitCode(''), 3);
+    });
+  });
+});